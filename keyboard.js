@@ -1,13 +1,17 @@
 /**
  * Keyboard.js - keyboard event handling interface
- *             - for danish keyboards only(!!)
+ *             - for danish keyboards by default, see Keyboard.useLayout()
  *             - tested on Win-IE7, Win-IE8, Win-FF2, Win-FF3, Win-Safari3 and Mac-Safari3 only
- *             - works with either Prototype or jQuery
+ *             - works with Prototype, jQuery or plain DOM, see Keyboard.setAdapter()
  *
  * Examples:
  *
  *   Keyboard.registerGlobal(KEY.CTRL + KEY.F, mySpecialFindFunction);
  *
+ *     - or, using Cmd on Mac and Ctrl elsewhere -
+ *
+ *   Keyboard.registerGlobal(KEY.MOD + KEY.S, save);
+ *
  *     - or -
  *
  *   Keyboard.register('myDiv', KEY.CTRL + KEY.SHIFT + KEY.ESC, myFingerBreaker);
@@ -20,9 +24,135 @@
  *   handler.register(KEY.UP,    goUp);
  *   handler.register(KEY.DOWN,  goDown);
  *
+ *     - or, to move the focus between the items of a menu, the accessible way -
+ *
+ *   Keyboard.navigable('myMenu', { items: '[role=menuitem]', wrap: true, onActivate: openMenuItem });
+ *
+ *     - or, to map a sequence of keys (e.g. "g" followed by "i") -
+ *
+ *   Keyboard.registerGlobal([KEY.G, KEY.I], goInbox);
+ *   Keyboard.registerGlobal([KEY.CTRL + KEY.K, KEY.CTRL + KEY.C], commentSelection);
+ *
+ *     - or, using key names -
+ *
+ *   Keyboard.registerGlobal("Ctrl+Shift+F", mySpecialFindFunction);
+ *   Keyboard.registerGlobal("G I", goInbox);
+ *   Keyboard.format(KEY.CTRL + KEY.PAGEUP); // "Ctrl+PgUp"
+ *   Keyboard.parse("Ctrl+PgUp");            // KEY.CTRL + KEY.PAGEUP
+ *
+ *     - or, for a character, whichever key it's typed with -
+ *
+ *   Keyboard.registerChar('?', showHelp);
+ *   Keyboard.handlerFor('myEditor').registerChar('@', insertMention);
+ *
+ *     - or, on a non-danish keyboard (before registering any keys) -
+ *
+ *   Keyboard.useLayout('SE');
+ *   Keyboard.registerGlobal("Ctrl+Ö", myFunction);
+ *
  *     - or, to force mapping a key that's known to cause problems -
  *
  *   Keyboard.registerGlobal(KEY.F1, myOwnHelpSystem, true);
+ *   Keyboard.registerGlobal(KEY.F1, myOwnHelpSystem, { override: true });
+ *
+ *     - or, for keys only used while a modal dialog is open -
+ *
+ *   var dialog = Keyboard.scope('dialog');
+ *   dialog.register(KEY.ESC, closeDialog);
+ *   dialog.register(KEY.ENTER, submitDialog);
+ *   Keyboard.registerGlobal(KEY.CTRL + KEY.F12, toggleDebugger, { always: true });
+ *   Keyboard.pushScope('dialog'); // only Esc, Enter and Ctrl+F12 are used now
+ *   Keyboard.popScope();          // back to normal
+ *
+ *     - or, for keys that should react at once, or while held down -
+ *
+ *   handler.register(KEY.DOWN, nextItem, { on: 'keydown', repeat: true });
+ *   Keyboard.registerGlobal(KEY.SPACE, null, { onHold: startTalking, onRelease: stopTalking });
+ *
+ *     - or, to match the physical key (event.code) or the key by what it says
+ *       (event.key), rather than the keyCode -
+ *
+ *   Keyboard.registerGlobal("W", moveForward, { match: 'code' });
+ *   Keyboard.registerGlobal("Ctrl+Ø", toggleOptions, { match: 'key' });
+ *   Keyboard.configure({ match: 'code' }); // for all keys registered from now on
+ *
+ *     - or, for a widget that should only handle a key in some cases -
+ *
+ *   Keyboard.registerGlobal(KEY.ESC, closeMenu, { priority: 10 });
+ *   handler.register(KEY.ESC, function (event, next) {
+ *     if (!isEditing()) {
+ *       return false; // or next(), to let the key fall through
+ *     }
+ *     cancelEditing();
+ *   });
+ *
+ *     - or, to describe keys for the built-in cheat sheet, shown with "?" -
+ *
+ *   Keyboard.registerGlobal("Ctrl+S", save, { description: "Save the document", group: "File" });
+ *   Keyboard.registerGlobal(KEY.F12, toggleDebugger, { hidden: true });
+ *   Keyboard.enableHelp('?');
+ *   Keyboard.describe(); // [{ text: "Ctrl+S", description: "Save the document", group: "File", ... }, ...]
+ *
+ *     - or, for an embedded widget that shouldn't share keys, scopes or settings
+ *       with the rest of the page -
+ *
+ *   var keyboard = Keyboard.create({ layout: 'US', strict: true });
+ *   keyboard.register('myWidget', KEY.ESC, closeWidget);
+ *
+ *     - or, loaded as a module -
+ *
+ *   var Keyboard = require('./keyboard'), KEY = Keyboard.KEY;
+ *   import Keyboard, { KEY } from './keyboard.mjs';
+ *
+ *     - or, to test key mappings without a keyboard -
+ *
+ *   Keyboard.simulate(document, KEY.CTRL + KEY.F);
+ *   Keyboard.simulate('myMenu', KEY.DOWN, { type: 'keydown' });
+ *
+ *     - or, for keys the user can change, saved in localStorage -
+ *
+ *   Keyboard.action('save', "Ctrl+S", save, { group: "File" });
+ *   Keyboard.persistKeymap('myApp.keymap');
+ *   Keyboard.remap('save', "Ctrl+Shift+S");
+ *   Keyboard.importKeymap('{"save":"Alt+S"}');
+ *   Keyboard.exportKeymap(); // '{"save":"Alt+S"}'
+ *   Keyboard.resetKeymap();  // back to Ctrl+S
+ *
+ *     - or, for keys mapped to named commands, also used by menus and buttons -
+ *
+ *   Keyboard.command('save', save, { when: function () { return editor.dirty; } });
+ *   Keyboard.registerGlobal(KEY.MOD + KEY.S, 'save');
+ *   Keyboard.execute('save');
+ *   Keyboard.disable('save');
+ *
+ *     - or, to let the user choose the key of an action -
+ *
+ *   Keyboard.record(document, function (recorded) {
+ *     if (!recorded.broken) {
+ *       Keyboard.remap('save', recorded.key);
+ *     }
+ *   });
+ *
+ *     - or, for elements that come and go, e.g. the rows of a list -
+ *
+ *   Keyboard.delegate('myList', '.row', KEY.DELETE, function () {
+ *     removeRow(this); // the row with the focus
+ *   });
+ *
+ *     - or, to find out why a key mapping doesn't work -
+ *
+ *   Keyboard.debug(true);                    // trace each key on the console
+ *   Keyboard.debug(true, { panel: true });   // and on the page
+ *   Keyboard.debug(false);
+ *   Keyboard.analyze().shadowed.length; // element keys also mapped globally
+ *
+ *     - and, to remove mappings again -
+ *
+ *   handler.unregister(KEY.LEFT);
+ *   Keyboard.unregister('myDiv', KEY.CTRL + KEY.SHIFT + KEY.ESC);
+ *   Keyboard.unregisterGlobal(KEY.CTRL + KEY.F);
+ *   Keyboard.unregisterGlobal(KEY.ESC, null, closeMenu);
+ *   Keyboard.destroy('myMenu');
  *
  * Notes:
  *
@@ -31,6 +161,57 @@
  *   of the page. With the examples above, both document.getElementById('myDiv').focus() and
  *   document.getElementById('myMenu').focus() would work as expected.
  *
+ *   Destroying a handler removes its event listeners and accesskey helpers, and
+ *   restores the original tabIndex of the element.
+ *
+ *   The keys of a key sequence must be pressed within one second of each other.
+ *   This can be changed with Keyboard.configure({ sequenceTimeout: 2000 }).
+ *   A key sequence can not begin with a key (or key sequence) that is mapped
+ *   on its own.
+ *
+ *   AltGr, which Windows reports as Ctrl+Alt, is treated as a modifier of its
+ *   own (KEY.ALTGR), so typing e.g. "@" with AltGr+2 does not trigger a
+ *   KEY.CTRL + KEY.ALT + KEY.TWO mapping, unless it's registered with
+ *   { altGraph: true }.
+ *
+ *   Keys pressed while the user is typing in a form field or contentEditable
+ *   region are ignored, unless the field itself is the element the keys are
+ *   registered on, or the key is registered with { allowInInputs: true }.
+ *
+ *   Keys are matched by keyCode, unless registered with { match: 'code' }, to
+ *   match the physical key (placed as on a danish keyboard, see KEY.CODE), or
+ *   { match: 'key' }, to match the key by what it says. Browsers without
+ *   event.code and event.key, and keys without a name of their own (e.g. "?"
+ *   for match 'key'), are matched by keyCode.
+ *
+ *   Key functions are called when the key is released, unless the key is
+ *   registered with { on: 'keydown' }. Keys with Cmd (KEY.META, and KEY.MOD on
+ *   Mac) are called on keydown by default, as Macs send no keyup for a key
+ *   released while Cmd is held. For the same reason, Cmd only works in the last
+ *   key of a key sequence on Mac. Auto-repeated keydowns, while the key is
+ *   held down, are ignored, unless it's also registered with { repeat: true }.
+ *   The 'onHold' function is called instead of the key function on the first
+ *   keydown, and 'onRelease' (if any) when the key is released again.
+ *
+ *   A key can be mapped several times, with different priorities (default 0).
+ *   The mapping with the highest priority is used first. If its function returns
+ *   false, or calls the next() function it's given, the key falls through to
+ *   the next mapping, and then on to the handlers of enclosing elements and
+ *   finally the document. Keys that aren't handled are not cancelled.
+ *
+ *   Keys known to be unmappable are only refused in the environments (operating
+ *   system, browser, version and keyboard layout) where they are unmappable,
+ *   see Keyboard.isBroken() and Keyboard.brokenKeys(). To refuse them everywhere:
+ *     Keyboard.configure({ environment: {} });
+ *
+ *   While Keyboard.record() is recording a key combination, no key mappings
+ *   are used. Recording stops after one combination, or with stop().
+ *
+ *   Key mappings that are ignored (unmappable or already mapped keys) are
+ *   reported on the console. To handle them yourself, or to have them thrown:
+ *     Keyboard.configure({ onError: myErrorHandler });
+ *     Keyboard.configure({ strict: true });
+ *
  *   It is also possible to explicitly specify the context to be used when the
  *   event handler function is invoked (by default the context is the element
  *   on which the event handler is placed). To do this, instead of the function
@@ -45,6 +226,7 @@
  * For the real mess, see: http://unixpapa.com/js/key.html
  *
  * JSLint "Good Parts" validated - try to keep it that way.
+ * Tested with jsdom (npm install && npm test), and by hand with keyboard.html.
  *
  * @author Jakob Kruse <kruse@kruse-net.dk>
  * @version 1.2
@@ -52,11 +234,8 @@
 
 /*jslint bitwise: false */
 
-//= require <prototype>
-/*global $A Element Event Prototype */
-// - or -
-//= require <jquery>
-/*global jQuery */
+// Optionally Prototype or jQuery, see Keyboard.setAdapter()
+/*global $A Element Event Prototype jQuery define module */
 
 
 var KEY = {
@@ -158,321 +337,965 @@ var KEY = {
   // Modifiers
   CTRL:        256,
   SHIFT:       512,
-  ALT:        1024
+  ALT:        1024,
+  META:       2048, // Cmd on Mac, Windows key on Windows
+  ALTGR:      4096  // AltGr, i.e. right Alt on european keyboards
 };
 
-var Keyboard = function () {
-  var KEYMASK, KEYSHIFT, KEYCTRL, KEYALT, broken, safariTranslator, handlers, factory, lib;
-  
-  if (window.Prototype) {
-    lib = {
-      webkit: Prototype.Browser.WebKit,
-      msie: Prototype.Browser.IE,
-      stopEvent: Event.stop,
-      onDomLoaded: document.observe.curry("dom:loaded"),
-      eventTarget: Event.element,
-      observe: Element.observe,
-      each: function (enumerable, fn) {
-        enumerable.each(fn);
-      },
-      setStyle: Element.setStyle,
-      identify: Element.identify
-    };
-  } else if (window.jQuery) {
-    lib = {
-      webkit: jQuery.browser.safari,
-      msie: jQuery.browser.msie,
-      stopEvent: function (event) {
-        event.preventDefault();
-        event.stopPropagation();
-        event.stopped = true;
-      },
-      onDomLoaded: jQuery(document).ready,
-      eventTarget: function (event) {
-        return event.target;
-      },
-      observe: function (element, event, fn) {
-        if (typeof element === 'string') {
-          element = '#' + element;
-        }
-        jQuery(element).bind(event, fn);
-      },
-      each: function (enumerable, fn) {
-        jQuery.each(enumerable, function (index, val) {
-          fn(val, index);
-        });
-      },
-      setStyle: function (element, style) {
-        if (typeof element === 'string') {
-          element = '#' + element;
-        }
-        return jQuery(element).css(style);
-      },
-      identify: function (element) {
-        if (typeof element === 'string') {
-          element = document.getElementById(element);
-        }
-        var id = element.id, self = arguments.callee;
-        if (id) {
+// The primary shortcut modifier of the platform: Cmd on Mac, Ctrl elsewhere
+KEY.MOD = (typeof navigator !== 'undefined' && /Mac/.test(navigator.platform)) ? KEY.META : KEY.CTRL;
+
+// The physical key (KeyboardEvent.code) of each key, keyed by key code. The
+// layout dependent keys are placed as on a danish keyboard (see the layouts).
+KEY.CODE = function () {
+  var codes = {}, i;
+
+  for (i = 0; i <= 9; i += 1) {
+    codes[KEY.ZERO + i] = 'Digit' + i;
+    codes[KEY.NUMPAD0 + i] = 'Numpad' + i;
+  }
+  for (i = KEY.A; i <= KEY.Z; i += 1) {
+    codes[i] = 'Key' + String.fromCharCode(i);
+  }
+  for (i = 1; i <= 12; i += 1) {
+    codes[KEY.F1 + i - 1] = 'F' + i;
+  }
+
+  codes[KEY.BACKSPACE]  = 'Backspace';
+  codes[KEY.TAB]        = 'Tab';
+  codes[KEY.ENTER]      = 'Enter';
+  codes[KEY.BREAK]      = 'Pause';
+  codes[KEY.CAPSLOCK]   = 'CapsLock';
+  codes[KEY.ESC]        = 'Escape';
+  codes[KEY.SPACE]      = 'Space';
+  codes[KEY.PAGEUP]     = 'PageUp';
+  codes[KEY.PAGEDOWN]   = 'PageDown';
+  codes[KEY.END]        = 'End';
+  codes[KEY.HOME]       = 'Home';
+  codes[KEY.LEFT]       = 'ArrowLeft';
+  codes[KEY.UP]         = 'ArrowUp';
+  codes[KEY.RIGHT]      = 'ArrowRight';
+  codes[KEY.DOWN]       = 'ArrowDown';
+  codes[KEY.INSERT]     = 'Insert';
+  codes[KEY.DELETE]     = 'Delete';
+  codes[KEY.MULTIPLY]   = 'NumpadMultiply';
+  codes[KEY.ADD]        = 'NumpadAdd';
+  codes[KEY.SUBTRACT]   = 'NumpadSubtract';
+  codes[KEY.DECIMAL]    = 'NumpadDecimal';
+  codes[KEY.DIVIDE]     = 'NumpadDivide';
+  codes[KEY.NUMLOCK]    = 'NumLock';
+  codes[KEY.SCROLL]     = 'ScrollLock';
+  codes[KEY.UMLAUT]     = 'BracketRight';
+  codes[KEY.PLUS]       = 'Minus';
+  codes[KEY.COMMA]      = 'Comma';
+  codes[KEY.MINUS]      = 'Slash';
+  codes[KEY.PERIOD]     = 'Period';
+  codes[KEY.APOSTROPHE] = 'Backslash';
+  codes[KEY.AE]         = 'Semicolon';
+  codes[KEY.ACCENT]     = 'Equal';
+  codes[KEY.HALF]       = 'Backquote';
+  codes[KEY.AA]         = 'BracketLeft';
+  codes[KEY.OE]         = 'Quote';
+  codes[KEY.ANGLE]      = 'IntlBackslash';
+  return codes;
+}();
+
+// This function creates a Keyboard, see Keyboard.create(). The error types are
+// shared with 'parent', if given, so instanceof works with any of them.
+function createKeyboard(parent) {
+  var KEYMASK, KEYSHIFT, KEYCTRL, KEYALT, KEYMETA, altGraphDown, options, scopes, KeyboardError, BrokenKeyError, DuplicateBindingError, names, nameAliases, lookupNames, codeKeys, matchTypes, modifierNames, layouts, layout, broken, handlers, help, actions, keymapStorage, storedKeymap, recording, commands, tracing, trace, factory, adapters, lib, msie;
+  
+  // The adapters for the event layers of the supported libraries. An adapter
+  // is created by calling its function, see Keyboard.setAdapter().
+  adapters = {
+    // Plain DOM, for use without any library
+    dom: function () {
+      var counter = 1, adapter = {
+        stopEvent: function (event) {
+          adapter.preventDefault(event);
+          if (event.stopPropagation) {
+            event.stopPropagation();
+          } else {
+            event.cancelBubble = true;
+          }
+          event.stopped = true;
+        },
+        preventDefault: function (event) {
+          if (event.preventDefault) {
+            event.preventDefault();
+          } else {
+            event.returnValue = false;
+          }
+        },
+        onDomLoaded: function (fn) {
+          if (document.addEventListener) {
+            document.addEventListener('DOMContentLoaded', fn, false);
+          } else {
+            window.attachEvent('onload', fn);
+          }
+        },
+        eventTarget: function (event) {
+          return event.target || event.srcElement;
+        },
+        observe: function (element, event, fn) {
+          if (typeof element === 'string') {
+            element = document.getElementById(element);
+          }
+          if (element.addEventListener) {
+            element.addEventListener(event, fn, false);
+          } else {
+            element.attachEvent('on' + event, fn);
+          }
+        },
+        stopObserving: function (element, event, fn) {
+          if (typeof element === 'string') {
+            element = document.getElementById(element);
+          }
+          if (element.removeEventListener) {
+            element.removeEventListener(event, fn, false);
+          } else {
+            element.detachEvent('on' + event, fn);
+          }
+        },
+        each: function (enumerable, fn) {
+          var i;
+          for (i = 0; i < enumerable.length; i += 1) {
+            fn(enumerable[i], i);
+          }
+        },
+        setStyle: function (element, style) {
+          var name;
+          if (typeof element === 'string') {
+            element = document.getElementById(element);
+          }
+          for (name in style) {
+            if (style.hasOwnProperty(name)) {
+              element.style[name] = style[name];
+            }
+          }
+          return element;
+        },
+        identify: function (element) {
+          if (typeof element === 'string') {
+            element = document.getElementById(element);
+          }
+          var id = element.id;
+          if (id) {
+            return id;
+          }
+          do {
+            id = 'anonymous_element_' + (counter += 1);
+          } while (document.getElementById(id));
+          element.id = id;
           return id;
+        },
+        matches: function (element, selector) {
+          var matches = element.matches || element.msMatchesSelector || element.webkitMatchesSelector || element.mozMatchesSelector;
+          return !!matches && matches.call(element, selector);
+        }
+      };
+      return adapter;
+    },
+    
+    prototype: function () {
+      return {
+        stopEvent: Event.stop,
+        preventDefault: function (event) {
+          event.preventDefault();
+        },
+        onDomLoaded: function (fn) {
+          document.observe("dom:loaded", fn);
+        },
+        eventTarget: Event.element,
+        observe: Element.observe,
+        stopObserving: Element.stopObserving,
+        each: function (enumerable, fn) {
+          enumerable.each(fn);
+        },
+        setStyle: Element.setStyle,
+        identify: Element.identify,
+        matches: Element.match
+      };
+    },
+    
+    jquery: function () {
+      return {
+        stopEvent: function (event) {
+          event.preventDefault();
+          event.stopPropagation();
+          event.stopped = true;
+        },
+        preventDefault: function (event) {
+          event.preventDefault();
+        },
+        onDomLoaded: function (fn) {
+          jQuery(document).ready(fn);
+        },
+        eventTarget: function (event) {
+          return event.target;
+        },
+        // .on() and .off() exist since jQuery 1.7, .bind() and .unbind() were
+        // removed in jQuery 4
+        observe: function (element, event, fn) {
+          if (typeof element === 'string') {
+            element = '#' + element;
+          }
+          element = jQuery(element);
+          if (element.on) {
+            element.on(event, fn);
+          } else {
+            element.bind(event, fn);
+          }
+        },
+        stopObserving: function (element, event, fn) {
+          if (typeof element === 'string') {
+            element = '#' + element;
+          }
+          element = jQuery(element);
+          if (element.off) {
+            element.off(event, fn);
+          } else {
+            element.unbind(event, fn);
+          }
+        },
+        each: function (enumerable, fn) {
+          jQuery.each(enumerable, function (index, val) {
+            fn(val, index);
+          });
+        },
+        setStyle: function (element, style) {
+          if (typeof element === 'string') {
+            element = '#' + element;
+          }
+          return jQuery(element).css(style);
+        },
+        matches: function (element, selector) {
+          return jQuery(element).is(selector);
         }
-        do {
-          id = 'anonymous_element_' + (self.counter += 1);
-        } while (document.getElementById(id));
-        element.id = id;
-        return id;
+      };
+    }
+  };
+  
+  // This function sets the adapter to use. Missing adapter functions are
+  // taken from the plain DOM adapter.
+  function setAdapter(adapter) {
+    if (typeof adapter === 'string') {
+      if (!adapters.hasOwnProperty(adapter)) {
+        throw new Error("Unknown adapter " + adapter);
       }
-    };
-    lib.identify.counter = 1;
+      adapter = adapters[adapter]();
+    }
+    lib = extend(adapters.dom(), adapter);
+  }
+  
+  if (typeof window !== 'undefined' && window.Prototype) {
+    setAdapter('prototype');
+  } else if (typeof window !== 'undefined' && window.jQuery) {
+    setAdapter('jquery');
+  } else {
+    setAdapter('dom');
   }
   
+  // Old IE needs special care for F-keys and Alt+<alfanumeric>. IE8 and later
+  // have document.documentMode, older versions have no addEventListener.
+  msie = typeof document !== 'undefined' && (document.documentMode !== undefined || (!!document.attachEvent && !document.addEventListener));
+  
   KEYMASK  = 255;
   KEYSHIFT = 16;
   KEYCTRL  = 17;
   KEYALT   = 18;
+  KEYMETA  = 91;
+  
+  // Global settings, see Keyboard.configure()
+  options = {
+    sequenceTimeout: 1000,
+    
+    // The environment, in which keys are checked for being broken, see
+    // Keyboard.isBroken(). Detected, if not set. Set it to {} to refuse keys
+    // that are broken in any environment.
+    environment: null,
+    
+    // How keys are matched by default: 'keyCode', 'code' or 'key', see the 'match' option
+    match: 'keyCode',
+    
+    // Throw errors instead of reporting them to onError
+    strict: false,
+    
+    // Called with an error object when a key mapping is ignored
+    onError: function (error) {
+      if (typeof console !== 'undefined' && console.error) {
+        console.error(error.message);
+      }
+    },
+    
+    // Called with the event target and the event, to tell if the user is typing
+    // in it. Keys are then ignored, unless mapped with the 'allowInInputs' option.
+    ignoreEditable: isEditable,
+    
+    // Called with a message when something suspicious is done on purpose
+    onWarning: function (message) {
+      if (typeof console !== 'undefined' && console.warn) {
+        console.warn(message);
+      }
+    }
+  };
+  
+  // The stack of active scopes, see Keyboard.pushScope()
+  scopes = [];
+  
+  // This function copies the properties of 'properties' to 'object'
+  function extend(object, properties) {
+    var name;
+    for (name in properties) {
+      if (properties.hasOwnProperty(name)) {
+        object[name] = properties[name];
+      }
+    }
+    return object;
+  }
+  
+  // This function converts the 'settings' argument of register() into an
+  // object. For backwards compatibility it may be just the override flag.
+  function toSettings(settings) {
+    return (settings && typeof settings === 'object') ? settings : { override: !!settings };
+  }
+  
+  // This function creates an error type. Errors have a message, and any
+  // details given when created (e.g. the key and the element).
+  function defineError(name, parent) {
+    var type = function (message, details) {
+      this.message = message;
+      extend(this, details);
+    };
+    type.prototype = parent ? new parent() : new Error();
+    type.prototype.name = name;
+    return type;
+  }
+  
+  // The error types, see Keyboard.configure()
+  if (parent) {
+    KeyboardError = parent.KeyboardError;
+    BrokenKeyError = parent.BrokenKeyError;
+    DuplicateBindingError = parent.DuplicateBindingError;
+  } else {
+    KeyboardError = defineError('KeyboardError');
+    BrokenKeyError = defineError('BrokenKeyError', KeyboardError);
+    DuplicateBindingError = defineError('DuplicateBindingError', KeyboardError);
+  }
+  
+  // This function reports an error, or throws it in strict mode
+  function error(e) {
+    if (options.strict) {
+      throw e;
+    }
+    options.onError(e);
+  }
   
-  // Setup list of known unmappable keys
+  // This function reports a warning
+  function warning(message) {
+    options.onWarning(message);
+  }
+  
+  // Setup list of human-readable key names, as used by Keyboard.parse() and Keyboard.format()
+  // Names of the layout dependent keys are added by the keyboard layouts (see below)
+  names = {};
+  lib.each([
+    [KEY.BACKSPACE, "Backspace"], [KEY.TAB, "Tab"], [KEY.ENTER, "Enter"], [KEY.BREAK, "Break"],
+    [KEY.CAPSLOCK, "CapsLock"], [KEY.ESC, "Esc"], [KEY.SPACE, "Space"], [KEY.PAGEUP, "PgUp"],
+    [KEY.PAGEDOWN, "PgDown"], [KEY.END, "End"], [KEY.HOME, "Home"], [KEY.LEFT, "Left"],
+    [KEY.UP, "Up"], [KEY.RIGHT, "Right"], [KEY.DOWN, "Down"], [KEY.INSERT, "Insert"],
+    [KEY.DELETE, "Delete"], [KEY.MULTIPLY, "Pad*"], [KEY.ADD, "Pad+"], [KEY.SUBTRACT, "Pad-"],
+    [KEY.DECIMAL, "PadDecimal"], [KEY.DIVIDE, "Pad/"], [KEY.NUMLOCK, "NumLock"], [KEY.SCROLL, "ScrollLock"]
+  ], function (pair) {
+    names[pair[0]] = pair[1];
+  });
+  (function () {
+    var i;
+    for (i = 0; i <= 9; i += 1) {
+      names[KEY.ZERO + i] = String(i);
+      names[KEY.NUMPAD0 + i] = 'Pad' + i;
+    }
+    for (i = KEY.A; i <= KEY.Z; i += 1) {
+      names[i] = String.fromCharCode(i);
+    }
+    for (i = 1; i <= 12; i += 1) {
+      names[KEY.F1 + i - 1] = 'F' + i;
+    }
+  }());
+  
+  // Names of the modifiers, in the order they are formatted
+  modifierNames = [
+    [KEY.CTRL, "Ctrl"],
+    [KEY.SHIFT, "Shift"],
+    [KEY.ALT, "Alt"],
+    [KEY.META, KEY.MOD === KEY.META ? "Cmd" : "Meta"],
+    [KEY.ALTGR, "AltGr"]
+  ];
+  
+  // Common aliases of key names, accepted by Keyboard.parse()
+  nameAliases = {
+    control: KEY.CTRL,
+    cmd: KEY.META,
+    command: KEY.META,
+    win: KEY.META,
+    altgraph: KEY.ALTGR,
+    escape: KEY.ESC,
+    "return": KEY.ENTER,
+    pgdn: KEY.PAGEDOWN,
+    del: KEY.DELETE,
+    ins: KEY.INSERT,
+    pause: KEY.BREAK,
+    arrowleft: KEY.LEFT,
+    arrowup: KEY.UP,
+    arrowright: KEY.RIGHT,
+    arrowdown: KEY.DOWN
+  };
+  
+  // The ways of matching a key to a keyboard event, see the 'match' option.
+  // A key, that can't be matched by event.code or event.key, is matched by keyCode.
+  matchTypes = ['keyCode', 'code', 'key'];
+  
+  // Setup list of known keyboard layouts. Each layout may contain:
+  //   translator - keyCodes for keyIdentifiers sent by Safari on Mac (see below)
+  //   aliases    - keyCodes to use instead of keyCodes that differ between browsers
+  //   names      - names of the layout dependent keys
+  //   codes      - physical keys (KeyboardEvent.code) that differ from KEY.CODE
+  //
+  // Safari 3.1.2 for Mac always send keyCodes based on a US keyboard layout
+  // Fortunately they have implemented DOM3 keyIdentifier
+  // They did it wrong, but we can still use it to figure out which key was pressed
+  //
+  // Note that the KEY constants of the layout dependent keys are named after
+  // the Danish key caps (e.g. KEY.AE is the key right of L, whatever it says)
+  layouts = {};
+  defineLayout('DK', {
+    translator: {
+      "U+0022": KEY.TWO,
+      "U+0026": KEY.SIX,
+      "U+0027": KEY.APOSTROPHE,
+      "U+0028": KEY.EIGHT,
+      "U+0029": KEY.NINE,
+      "U+002A": KEY.APOSTROPHE,
+      "U+002F": KEY.SEVEN,
+      "U+003A": KEY.PERIOD,
+      "U+003B": KEY.COMMA,
+      "U+003C": KEY.ANGLE,
+      "U+003D": KEY.ZERO,
+      "U+003E": KEY.ANGLE,
+      "U+003F": KEY.PLUS,
+      "U+00C5": KEY.AA,
+      "U+00C6": KEY.AE,
+      "U+00D8": KEY.OE,
+      "U+00E5": KEY.AA,
+      "U+00E6": KEY.AE,
+      "U+00F8": KEY.OE,
+      "U+20AC": KEY.FOUR
+    },
+    aliases: {
+      186: KEY.UMLAUT
+    },
+    names: {
+      59:  "\u00A8",
+      187: "+",
+      188: ",",
+      189: "-",
+      190: ".",
+      191: "'",
+      192: "\u00C6",
+      219: "\u00B4",
+      220: "\u00BD",
+      221: "\u00C5",
+      222: "\u00D8",
+      226: "<"
+    }
+  });
+  defineLayout('NO', {
+    translator: {
+      "U+0022": KEY.TWO,
+      "U+0026": KEY.SIX,
+      "U+0027": KEY.APOSTROPHE,
+      "U+0028": KEY.EIGHT,
+      "U+0029": KEY.NINE,
+      "U+002A": KEY.APOSTROPHE,
+      "U+002F": KEY.SEVEN,
+      "U+003A": KEY.PERIOD,
+      "U+003B": KEY.COMMA,
+      "U+003C": KEY.ANGLE,
+      "U+003D": KEY.ZERO,
+      "U+003E": KEY.ANGLE,
+      "U+003F": KEY.PLUS,
+      "U+007C": KEY.HALF,
+      "U+00A4": KEY.FOUR,
+      "U+00A7": KEY.HALF,
+      "U+00C5": KEY.AA,
+      "U+00C6": KEY.OE,
+      "U+00D8": KEY.AE,
+      "U+00E5": KEY.AA,
+      "U+00E6": KEY.OE,
+      "U+00F8": KEY.AE
+    },
+    aliases: {
+      186: KEY.UMLAUT
+    },
+    names: {
+      59:  "\u00A8",
+      187: "+",
+      188: ",",
+      189: "-",
+      190: ".",
+      191: "'",
+      192: "\u00D8",
+      219: "\\",
+      220: "|",
+      221: "\u00C5",
+      222: "\u00C6",
+      226: "<"
+    }
+  });
+  defineLayout('SE', {
+    translator: {
+      "U+0022": KEY.TWO,
+      "U+0026": KEY.SIX,
+      "U+0027": KEY.APOSTROPHE,
+      "U+0028": KEY.EIGHT,
+      "U+0029": KEY.NINE,
+      "U+002A": KEY.APOSTROPHE,
+      "U+002F": KEY.SEVEN,
+      "U+003A": KEY.PERIOD,
+      "U+003B": KEY.COMMA,
+      "U+003C": KEY.ANGLE,
+      "U+003D": KEY.ZERO,
+      "U+003E": KEY.ANGLE,
+      "U+003F": KEY.PLUS,
+      "U+00A4": KEY.FOUR,
+      "U+00A7": KEY.HALF,
+      "U+00BD": KEY.HALF,
+      "U+00C4": KEY.OE,
+      "U+00C5": KEY.AA,
+      "U+00D6": KEY.AE,
+      "U+00E4": KEY.OE,
+      "U+00E5": KEY.AA,
+      "U+00F6": KEY.AE
+    },
+    aliases: {
+      186: KEY.UMLAUT
+    },
+    names: {
+      59:  "\u00A8",
+      187: "+",
+      188: ",",
+      189: "-",
+      190: ".",
+      191: "'",
+      192: "\u00D6",
+      219: "\u00B4",
+      220: "\u00A7",
+      221: "\u00C5",
+      222: "\u00C4",
+      226: "<"
+    }
+  });
+  defineLayout('DE', {
+    translator: {
+      "U+0022": KEY.TWO,
+      "U+0023": KEY.APOSTROPHE,
+      "U+0026": KEY.SIX,
+      "U+0027": KEY.APOSTROPHE,
+      "U+0028": KEY.EIGHT,
+      "U+0029": KEY.NINE,
+      "U+002A": KEY.PLUS,
+      "U+002B": KEY.PLUS,
+      "U+002F": KEY.SEVEN,
+      "U+003A": KEY.PERIOD,
+      "U+003B": KEY.COMMA,
+      "U+003C": KEY.ANGLE,
+      "U+003D": KEY.ZERO,
+      "U+003E": KEY.ANGLE,
+      "U+003F": KEY.ACCENT,
+      "U+005E": KEY.HALF,
+      "U+005F": KEY.MINUS,
+      "U+00A7": KEY.THREE,
+      "U+00B0": KEY.HALF,
+      "U+00C4": KEY.OE,
+      "U+00D6": KEY.AE,
+      "U+00DC": KEY.UMLAUT,
+      "U+00DF": KEY.ACCENT,
+      "U+00E4": KEY.OE,
+      "U+00F6": KEY.AE,
+      "U+00FC": KEY.UMLAUT
+    },
+    aliases: {
+      186: KEY.UMLAUT
+    },
+    // Keys placed differently than on a danish keyboard, see KEY.CODE
+    codes: {
+      59:  'BracketLeft',
+      187: 'BracketRight',
+      219: 'Minus',
+      221: 'Equal'
+    },
+    names: {
+      59:  "\u00DC",
+      187: "+",
+      188: ",",
+      189: "-",
+      190: ".",
+      191: "#",
+      192: "\u00D6",
+      219: "\u00DF",
+      220: "^",
+      221: "\u00B4",
+      222: "\u00C4",
+      226: "<"
+    }
+  });
+  defineLayout('US', {
+    // Safari on Mac already sends keyCodes for the US layout
+    translator: {},
+    aliases: {
+      61:  KEY.PLUS,   // '=' in Gecko
+      173: KEY.MINUS,  // '-' in Gecko
+      186: KEY.UMLAUT  // ';' in IE and Safari, Gecko sends 59
+    },
+    codes: {
+      59:  'Semicolon',
+      187: 'Equal',
+      189: 'Minus',
+      191: 'Slash',
+      192: 'Backquote',
+      219: 'BracketLeft',
+      220: 'Backslash',
+      221: 'BracketRight'
+    },
+    names: {
+      59:  ";",
+      187: "=",
+      188: ",",
+      189: "-",
+      190: ".",
+      191: "/",
+      192: "`",
+      219: "[",
+      220: "\\",
+      221: "]",
+      222: "'"
+    }
+  });
+  useLayout('DK');
+  
+  // Setup list of known unmappable keys, and the environments (see
+  // detectEnvironment()) in which they are unmappable. Environment properties
+  // that are left out match any, e.g. any version.
   broken = {};
   lib.each([
     //tab
-    { key: KEY.CTRL + KEY.TAB, name: "Ctrl+Tab", browsers: "Win-FF3, Win-IE7, Win-IE8", does: "next tab" },
-    { key: KEY.ALT + KEY.TAB, name: "Alt+Tab", browsers: "Win-all", does: "task switch" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.TAB, name: "Ctrl+Shift+Tab", browsers: "Win-FF3, Win-IE7, Win-IE8", does: "previous tab" },
-    { key: KEY.SHIFT + KEY.ALT + KEY.TAB, name: "Shift+Alt+Tab", browsers: "Win-all", does: "reverse task switch" },
+    { key: KEY.CTRL + KEY.TAB, environments: [{ os: 'Win', browser: 'Firefox', version: 3 }, { os: 'Win', browser: 'IE', version: 7 }, { os: 'Win', browser: 'IE', version: 8 }], does: "next tab" },
+    { key: KEY.ALT + KEY.TAB, environments: [{ os: 'Win' }], does: "task switch" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.TAB, environments: [{ os: 'Win', browser: 'Firefox', version: 3 }, { os: 'Win', browser: 'IE', version: 7 }, { os: 'Win', browser: 'IE', version: 8 }], does: "previous tab" },
+    { key: KEY.SHIFT + KEY.ALT + KEY.TAB, environments: [{ os: 'Win' }], does: "reverse task switch" },
     //enter
-    { key: KEY.ALT + KEY.ENTER, name: "Alt+Enter", browsers: "Win-IE7, Win-IE8", does: "full screen" },
+    { key: KEY.ALT + KEY.ENTER, environments: [{ os: 'Win', browser: 'IE', version: 7 }, { os: 'Win', browser: 'IE', version: 8 }], does: "full screen" },
     //break
-    { key: KEY.BREAK, name: "Break", browsers: "Mac-all", does: "key doesn't exist on Mac" },
-    { key: KEY.CTRL + KEY.BREAK, name: "Ctrl+Break", browsers: "Win-all, Mac-all", does: "nothing on Win, key doesn't exist on Mac" },
-    { key: KEY.SHIFT + KEY.BREAK, name: "Shift+Break", browsers: "Mac-all", does: "key doesn't exist on Mac" },
-    { key: KEY.ALT + KEY.BREAK, name: "Alt+Break", browsers: "Mac-all", does: "key doesn't exist on Mac" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.BREAK, name: "Ctrl+Shift+Break", browsers: "Win-all, Mac-all", does: "nothing on Win, key doesn't exist on Mac" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.BREAK, name: "Ctrl+Shift+Alt+Break", browsers: "Win-all, Mac-all", does: "nothing on Win, key doesn't exist on Mac" },
+    { key: KEY.BREAK, environments: [{ os: 'Mac' }], does: "key doesn't exist on Mac" },
+    { key: KEY.CTRL + KEY.BREAK, environments: [{ os: 'Win' }, { os: 'Mac' }], does: "nothing on Win, key doesn't exist on Mac" },
+    { key: KEY.SHIFT + KEY.BREAK, environments: [{ os: 'Mac' }], does: "key doesn't exist on Mac" },
+    { key: KEY.ALT + KEY.BREAK, environments: [{ os: 'Mac' }], does: "key doesn't exist on Mac" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.BREAK, environments: [{ os: 'Win' }, { os: 'Mac' }], does: "nothing on Win, key doesn't exist on Mac" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.BREAK, environments: [{ os: 'Win' }, { os: 'Mac' }], does: "nothing on Win, key doesn't exist on Mac" },
     //capslock
-    { key: KEY.CAPSLOCK, name: "CapsLock", browsers: "all browsers" },
-    { key: KEY.CTRL + KEY.CAPSLOCK, name: "Ctrl+CapsLock", browsers: "all browsers" },
-    { key: KEY.SHIFT + KEY.CAPSLOCK, name: "Shift+CapsLock", browsers: "all browsers" },
-    { key: KEY.ALT + KEY.CAPSLOCK, name: "Alt+CapsLock", browsers: "all browsers" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.CAPSLOCK, name: "Ctrl+Shift+CapsLock", browsers: "Win-IE8", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.CAPSLOCK, name: "Ctrl+Shift+Alt+CapsLock", browsers: "Win-IE8", does: "nothing" },
+    { key: KEY.CAPSLOCK, environments: [{}] },
+    { key: KEY.CTRL + KEY.CAPSLOCK, environments: [{}] },
+    { key: KEY.SHIFT + KEY.CAPSLOCK, environments: [{}] },
+    { key: KEY.ALT + KEY.CAPSLOCK, environments: [{}] },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.CAPSLOCK, environments: [{ os: 'Win', browser: 'IE', version: 8 }], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.CAPSLOCK, environments: [{ os: 'Win', browser: 'IE', version: 8 }], does: "nothing" },
     //esc
-    { key: KEY.CTRL + KEY.ESC, name: "Ctrl+Esc", browsers: "Win-all", does: "start menu" },
-    { key: KEY.ALT + KEY.ESC, name: "Alt+Esc", browsers: "Win-all", does: "task switch" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.ESC, name: "Ctrl+Shift+Esc", browsers: "Win-all", does: "task manager" },
-    { key: KEY.CTRL + KEY.ALT + KEY.ESC, name: "Ctrl+Alt+Esc", browsers: "Win-all", does: "nothing" },
-    { key: KEY.SHIFT + KEY.ALT + KEY.ESC, name: "Shift+Alt+Esc", browsers: "Win-all", does: "task switch" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.ESC, name: "Ctrl+Shift+Alt+Esc", browsers: "Win-all", does: "nothing" },
+    { key: KEY.CTRL + KEY.ESC, environments: [{ os: 'Win' }], does: "start menu" },
+    { key: KEY.ALT + KEY.ESC, environments: [{ os: 'Win' }], does: "task switch" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.ESC, environments: [{ os: 'Win' }], does: "task manager" },
+    { key: KEY.CTRL + KEY.ALT + KEY.ESC, environments: [{ os: 'Win' }], does: "nothing" },
+    { key: KEY.SHIFT + KEY.ALT + KEY.ESC, environments: [{ os: 'Win' }], does: "task switch" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.ESC, environments: [{ os: 'Win' }], does: "nothing" },
     //space
-    { key: KEY.CTRL + KEY.SPACE, name: "Ctrl+Space", browsers: "Mac-all", does: "spotlight" },
-    { key: KEY.ALT + KEY.SPACE, name: "Alt+Space", browsers: "Win-all", does: "system menu" },
+    { key: KEY.CTRL + KEY.SPACE, environments: [{ os: 'Mac' }], does: "spotlight" },
+    { key: KEY.ALT + KEY.SPACE, environments: [{ os: 'Win' }], does: "system menu" },
     //pageup
-    { key: KEY.CTRL + KEY.PAGEUP, name: "Ctrl+PAGEUP", browsers: "Win-FF3", does: "previous tab" },
+    { key: KEY.CTRL + KEY.PAGEUP, environments: [{ os: 'Win', browser: 'Firefox', version: 3 }], does: "previous tab" },
     //pagedown
-    { key: KEY.CTRL + KEY.PAGEDOWN, name: "Ctrl+PAGEDOWN", browsers: "Win-FF3", does: "next tab" },
+    { key: KEY.CTRL + KEY.PAGEDOWN, environments: [{ os: 'Win', browser: 'Firefox', version: 3 }], does: "next tab" },
     //end
-    { key: KEY.CTRL + KEY.ALT + KEY.END, name: "Ctrl+Alt+End", browsers: "Win-all", does: "task manager" },
+    { key: KEY.CTRL + KEY.ALT + KEY.END, environments: [{ os: 'Win' }], does: "task manager" },
     //home
-    { key: KEY.ALT + KEY.HOME, name: "Alt+Home", browsers: "Win-IE7, Win-IE8", does: "home page" },
+    { key: KEY.ALT + KEY.HOME, environments: [{ os: 'Win', browser: 'IE', version: 7 }, { os: 'Win', browser: 'IE', version: 8 }], does: "home page" },
     //left
-    { key: KEY.ALT + KEY.LEFT, name: "Alt+Left", browsers: "Win-Safari3", does: "history back" },
+    { key: KEY.ALT + KEY.LEFT, environments: [{ os: 'Win', browser: 'Safari', version: 3 }], does: "history back" },
     //right
-    { key: KEY.ALT + KEY.RIGHT, name: "Alt+Right", browsers: "Win-Safari3", does: "history forward" },
+    { key: KEY.ALT + KEY.RIGHT, environments: [{ os: 'Win', browser: 'Safari', version: 3 }], does: "history forward" },
     //delete
-    { key: KEY.CTRL + KEY.ALT + KEY.DELETE, name: "Ctrl+Alt+Delete", browsers: "Win-all", does: "task manager/menu" },
+    { key: KEY.CTRL + KEY.ALT + KEY.DELETE, environments: [{ os: 'Win' }], does: "task manager/menu" },
     //0
-    { key: KEY.CTRL + KEY.ZERO, name: "Ctrl+0", browsers: "Win-IE7, Win-IE8, Win-Safari3", does: "reset zoom" },
+    { key: KEY.CTRL + KEY.ZERO, environments: [{ os: 'Win', browser: 'IE', version: 7 }, { os: 'Win', browser: 'IE', version: 8 }, { os: 'Win', browser: 'Safari', version: 3 }], does: "reset zoom" },
     //umlaut
-    { key: KEY.UMLAUT, name: "", browsers: "Mac-Safari3" },
-    { key: KEY.CTRL + KEY.UMLAUT, name: "Ctrl+", browsers: "Mac-Safari3" },
-    { key: KEY.SHIFT + KEY.UMLAUT, name: "Shift+", browsers: "Mac-Safari3" },
-    { key: KEY.ALT + KEY.UMLAUT, name: "Alt+", browsers: "Mac-Safari3" },
+    { key: KEY.UMLAUT, environments: [{ os: 'Mac', browser: 'Safari', version: 3 }] },
+    { key: KEY.CTRL + KEY.UMLAUT, environments: [{ os: 'Mac', browser: 'Safari', version: 3 }] },
+    { key: KEY.SHIFT + KEY.UMLAUT, environments: [{ os: 'Mac', browser: 'Safari', version: 3 }] },
+    { key: KEY.ALT + KEY.UMLAUT, environments: [{ os: 'Mac', browser: 'Safari', version: 3 }] },
     //a
-    { key: KEY.ALT + KEY.A, name: "Alt+A", browsers: "Win-IE7 (DK)", does: "address bar" },
+    { key: KEY.ALT + KEY.A, environments: [{ os: 'Win', browser: 'IE', version: 7, layout: 'DK' }], does: "address bar" },
     //b
-    { key: KEY.ALT + KEY.B, name: "Alt+B", browsers: "Win-Safari3", does: "bookmarks" },
+    { key: KEY.ALT + KEY.B, environments: [{ os: 'Win', browser: 'Safari', version: 3 }], does: "bookmarks" },
     //d
-    { key: KEY.ALT + KEY.D, name: "Alt+D", browsers: "Win-IE7 (UK), Win-IE8 (UK), Win-Safari3", does: "address bar" },
-    { key: KEY.SHIFT + KEY.ALT + KEY.D, name: "Shift+Alt+D", browsers: "Win-IE8 (UK)", does: "address bar" },
+    { key: KEY.ALT + KEY.D, environments: [{ os: 'Win', browser: 'IE', version: 7, layout: 'UK' }, { os: 'Win', browser: 'IE', version: 8, layout: 'UK' }, { os: 'Win', browser: 'Safari', version: 3 }], does: "address bar" },
+    { key: KEY.SHIFT + KEY.ALT + KEY.D, environments: [{ os: 'Win', browser: 'IE', version: 8, layout: 'UK' }], does: "address bar" },
     //e
-    { key: KEY.ALT + KEY.E, name: "Alt+E", browsers: "Win-Safari3", does: "edit menu" },
+    { key: KEY.ALT + KEY.E, environments: [{ os: 'Win', browser: 'Safari', version: 3 }], does: "edit menu" },
     //f
-    { key: KEY.CTRL + KEY.F, name: "Ctrl+F", browsers: "Win-IE7, Win-IE8, Win-Safari3", does: "find" },
-    { key: KEY.ALT + KEY.F, name: "Alt+F", browsers: "Win-Safari3", does: "file menu" },
+    { key: KEY.CTRL + KEY.F, environments: [{ os: 'Win', browser: 'IE', version: 7 }, { os: 'Win', browser: 'IE', version: 8 }, { os: 'Win', browser: 'Safari', version: 3 }], does: "find" },
+    { key: KEY.ALT + KEY.F, environments: [{ os: 'Win', browser: 'Safari', version: 3 }], does: "file menu" },
     //h
-    { key: KEY.ALT + KEY.H, name: "Alt+H", browsers: "Win-Safari3", does: "help menu" },
+    { key: KEY.ALT + KEY.H, environments: [{ os: 'Win', browser: 'Safari', version: 3 }], does: "help menu" },
     //i
-    { key: KEY.ALT + KEY.I, name: "Alt+I", browsers: "Win-Safari3", does: "history menu" },
+    { key: KEY.ALT + KEY.I, environments: [{ os: 'Win', browser: 'Safari', version: 3 }], does: "history menu" },
     //o
-    { key: KEY.CTRL + KEY.O, name: "Ctrl+O", browsers: "Win-IE7, Win-IE8, Win-Safari3", does: "open" },
+    { key: KEY.CTRL + KEY.O, environments: [{ os: 'Win', browser: 'IE', version: 7 }, { os: 'Win', browser: 'IE', version: 8 }, { os: 'Win', browser: 'Safari', version: 3 }], does: "open" },
     //p
-    { key: KEY.CTRL + KEY.P, name: "Ctrl+P", browsers: "Win-IE7, Win-IE8, Win-Safari3", does: "print" },
+    { key: KEY.CTRL + KEY.P, environments: [{ os: 'Win', browser: 'IE', version: 7 }, { os: 'Win', browser: 'IE', version: 8 }, { os: 'Win', browser: 'Safari', version: 3 }], does: "print" },
     //v
-    { key: KEY.ALT + KEY.V, name: "Alt+V", browsers: "Win-Safari3", does: "view menu" },
+    { key: KEY.ALT + KEY.V, environments: [{ os: 'Win', browser: 'Safari', version: 3 }], does: "view menu" },
     //w
-    { key: KEY.ALT + KEY.W, name: "Alt+W", browsers: "Win-Safari3", does: "window menu" },
+    { key: KEY.ALT + KEY.W, environments: [{ os: 'Win', browser: 'Safari', version: 3 }], does: "window menu" },
     //pad-digits
-    { key: KEY.SHIFT + KEY.NUMPAD0, name: "Shift+Pad0", browsers: "all browsers", does: "nothing" },
-    { key: KEY.SHIFT + KEY.NUMPAD1, name: "Shift+Pad1", browsers: "all browsers", does: "nothing" },
-    { key: KEY.SHIFT + KEY.NUMPAD2, name: "Shift+Pad2", browsers: "all browsers", does: "nothing" },
-    { key: KEY.SHIFT + KEY.NUMPAD3, name: "Shift+Pad3", browsers: "all browsers", does: "nothing" },
-    { key: KEY.SHIFT + KEY.NUMPAD4, name: "Shift+Pad4", browsers: "all browsers", does: "nothing" },
-    { key: KEY.SHIFT + KEY.NUMPAD5, name: "Shift+Pad5", browsers: "all browsers", does: "nothing" },
-    { key: KEY.SHIFT + KEY.NUMPAD6, name: "Shift+Pad6", browsers: "all browsers", does: "nothing" },
-    { key: KEY.SHIFT + KEY.NUMPAD7, name: "Shift+Pad7", browsers: "all browsers", does: "nothing" },
-    { key: KEY.SHIFT + KEY.NUMPAD8, name: "Shift+Pad8", browsers: "all browsers", does: "nothing" },
-    { key: KEY.SHIFT + KEY.NUMPAD9, name: "Shift+Pad9", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMPAD0, name: "Ctrl+Shift+Pad0", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMPAD1, name: "Ctrl+Shift+Pad1", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMPAD2, name: "Ctrl+Shift+Pad2", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMPAD3, name: "Ctrl+Shift+Pad3", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMPAD4, name: "Ctrl+Shift+Pad4", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMPAD5, name: "Ctrl+Shift+Pad5", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMPAD6, name: "Ctrl+Shift+Pad6", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMPAD7, name: "Ctrl+Shift+Pad7", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMPAD8, name: "Ctrl+Shift+Pad8", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMPAD9, name: "Ctrl+Shift+Pad9", browsers: "all browsers", does: "nothing" },
-    { key: KEY.SHIFT + KEY.ALT + KEY.NUMPAD0, name: "Shift+Alt+Pad0", browsers: "all browsers", does: "nothing" },
-    { key: KEY.SHIFT + KEY.ALT + KEY.NUMPAD1, name: "Shift+Alt+Pad1", browsers: "all browsers", does: "nothing" },
-    { key: KEY.SHIFT + KEY.ALT + KEY.NUMPAD2, name: "Shift+Alt+Pad2", browsers: "all browsers", does: "nothing" },
-    { key: KEY.SHIFT + KEY.ALT + KEY.NUMPAD3, name: "Shift+Alt+Pad3", browsers: "all browsers", does: "nothing" },
-    { key: KEY.SHIFT + KEY.ALT + KEY.NUMPAD4, name: "Shift+Alt+Pad4", browsers: "all browsers", does: "nothing" },
-    { key: KEY.SHIFT + KEY.ALT + KEY.NUMPAD5, name: "Shift+Alt+Pad5", browsers: "all browsers", does: "nothing" },
-    { key: KEY.SHIFT + KEY.ALT + KEY.NUMPAD6, name: "Shift+Alt+Pad6", browsers: "all browsers", does: "nothing" },
-    { key: KEY.SHIFT + KEY.ALT + KEY.NUMPAD7, name: "Shift+Alt+Pad7", browsers: "all browsers", does: "nothing" },
-    { key: KEY.SHIFT + KEY.ALT + KEY.NUMPAD8, name: "Shift+Alt+Pad8", browsers: "all browsers", does: "nothing" },
-    { key: KEY.SHIFT + KEY.ALT + KEY.NUMPAD9, name: "Shift+Alt+Pad9", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMPAD0, name: "Ctrl+Shift+Alt+Pad0", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMPAD1, name: "Ctrl+Shift+Alt+Pad1", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMPAD2, name: "Ctrl+Shift+Alt+Pad2", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMPAD3, name: "Ctrl+Shift+Alt+Pad3", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMPAD4, name: "Ctrl+Shift+Alt+Pad4", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMPAD5, name: "Ctrl+Shift+Alt+Pad5", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMPAD6, name: "Ctrl+Shift+Alt+Pad6", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMPAD7, name: "Ctrl+Shift+Alt+Pad7", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMPAD8, name: "Ctrl+Shift+Alt+Pad8", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMPAD9, name: "Ctrl+Shift+Alt+Pad9", browsers: "all browsers", does: "nothing" },
+    { key: KEY.SHIFT + KEY.NUMPAD0, environments: [{}], does: "nothing" },
+    { key: KEY.SHIFT + KEY.NUMPAD1, environments: [{}], does: "nothing" },
+    { key: KEY.SHIFT + KEY.NUMPAD2, environments: [{}], does: "nothing" },
+    { key: KEY.SHIFT + KEY.NUMPAD3, environments: [{}], does: "nothing" },
+    { key: KEY.SHIFT + KEY.NUMPAD4, environments: [{}], does: "nothing" },
+    { key: KEY.SHIFT + KEY.NUMPAD5, environments: [{}], does: "nothing" },
+    { key: KEY.SHIFT + KEY.NUMPAD6, environments: [{}], does: "nothing" },
+    { key: KEY.SHIFT + KEY.NUMPAD7, environments: [{}], does: "nothing" },
+    { key: KEY.SHIFT + KEY.NUMPAD8, environments: [{}], does: "nothing" },
+    { key: KEY.SHIFT + KEY.NUMPAD9, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMPAD0, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMPAD1, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMPAD2, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMPAD3, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMPAD4, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMPAD5, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMPAD6, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMPAD7, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMPAD8, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMPAD9, environments: [{}], does: "nothing" },
+    { key: KEY.SHIFT + KEY.ALT + KEY.NUMPAD0, environments: [{}], does: "nothing" },
+    { key: KEY.SHIFT + KEY.ALT + KEY.NUMPAD1, environments: [{}], does: "nothing" },
+    { key: KEY.SHIFT + KEY.ALT + KEY.NUMPAD2, environments: [{}], does: "nothing" },
+    { key: KEY.SHIFT + KEY.ALT + KEY.NUMPAD3, environments: [{}], does: "nothing" },
+    { key: KEY.SHIFT + KEY.ALT + KEY.NUMPAD4, environments: [{}], does: "nothing" },
+    { key: KEY.SHIFT + KEY.ALT + KEY.NUMPAD5, environments: [{}], does: "nothing" },
+    { key: KEY.SHIFT + KEY.ALT + KEY.NUMPAD6, environments: [{}], does: "nothing" },
+    { key: KEY.SHIFT + KEY.ALT + KEY.NUMPAD7, environments: [{}], does: "nothing" },
+    { key: KEY.SHIFT + KEY.ALT + KEY.NUMPAD8, environments: [{}], does: "nothing" },
+    { key: KEY.SHIFT + KEY.ALT + KEY.NUMPAD9, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMPAD0, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMPAD1, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMPAD2, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMPAD3, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMPAD4, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMPAD5, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMPAD6, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMPAD7, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMPAD8, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMPAD9, environments: [{}], does: "nothing" },
     //pad+
-    { key: KEY.CTRL + KEY.ADD, name: "Ctrl+Pad+", browsers: "Win-IE7, Win-IE8", does: "zoom" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.ADD, name: "Ctrl+Shift+Pad+", browsers: "Win-IE7, Win-IE8", does: "zoom" },
+    { key: KEY.CTRL + KEY.ADD, environments: [{ os: 'Win', browser: 'IE', version: 7 }, { os: 'Win', browser: 'IE', version: 8 }], does: "zoom" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.ADD, environments: [{ os: 'Win', browser: 'IE', version: 7 }, { os: 'Win', browser: 'IE', version: 8 }], does: "zoom" },
     //pad-
-    { key: KEY.CTRL + KEY.SUBTRACT, name: "Ctrl+Pad-", browsers: "Win-IE7, Win-IE8", does: "zoom" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.SUBTRACT, name: "Ctrl+Shift+Pad-", browsers: "Win-IE7, Win-IE8", does: "zoom" },
+    { key: KEY.CTRL + KEY.SUBTRACT, environments: [{ os: 'Win', browser: 'IE', version: 7 }, { os: 'Win', browser: 'IE', version: 8 }], does: "zoom" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.SUBTRACT, environments: [{ os: 'Win', browser: 'IE', version: 7 }, { os: 'Win', browser: 'IE', version: 8 }], does: "zoom" },
     //pad-decimal
-    { key: KEY.SHIFT + KEY.DECIMAL, name: "Shift+PadDecimal", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.DECIMAL, name: "Ctrl+Shift+PadDecimal", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.ALT + KEY.DECIMAL, name: "Ctrl+Alt+PadDecimal", browsers: "Win-all", does: "task manager/menu" },
-    { key: KEY.SHIFT + KEY.ALT + KEY.DECIMAL, name: "Shift+Alt+PadDecimal", browsers: "all browsers", does: "nothing" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.DECIMAL, name: "Ctrl+Shift+Alt+PadDecimal", browsers: "Win-all", does: "task manager/menu" },
+    { key: KEY.SHIFT + KEY.DECIMAL, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.DECIMAL, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.ALT + KEY.DECIMAL, environments: [{ os: 'Win' }], does: "task manager/menu" },
+    { key: KEY.SHIFT + KEY.ALT + KEY.DECIMAL, environments: [{}], does: "nothing" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.DECIMAL, environments: [{ os: 'Win' }], does: "task manager/menu" },
     //f1
-    { key: KEY.F1, name: "F1", browsers: "Win-IE7, Win-IE8", does: "help" },
-    { key: KEY.CTRL + KEY.F1, name: "Ctrl+F1", browsers: "Win-IE7, Win-IE8, Mac-Safari3", does: "help on Windows, nothing on Mac" },
-    { key: KEY.SHIFT + KEY.F1, name: "Shift+F1", browsers: "Win-IE7, Win-IE8", does: "help" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.F1, name: "Ctrl+Shift+F1", browsers: "Win-IE7, Win-IE8", does: "help" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.F1, name: "Ctrl+Shift+Alt+F1", browsers: "Win-IE7, Win-IE8", does: "help" },
+    { key: KEY.F1, environments: [{ os: 'Win', browser: 'IE', version: 7 }, { os: 'Win', browser: 'IE', version: 8 }], does: "help" },
+    { key: KEY.CTRL + KEY.F1, environments: [{ os: 'Win', browser: 'IE', version: 7 }, { os: 'Win', browser: 'IE', version: 8 }, { os: 'Mac', browser: 'Safari', version: 3 }], does: "help on Windows, nothing on Mac" },
+    { key: KEY.SHIFT + KEY.F1, environments: [{ os: 'Win', browser: 'IE', version: 7 }, { os: 'Win', browser: 'IE', version: 8 }], does: "help" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.F1, environments: [{ os: 'Win', browser: 'IE', version: 7 }, { os: 'Win', browser: 'IE', version: 8 }], does: "help" },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.F1, environments: [{ os: 'Win', browser: 'IE', version: 7 }, { os: 'Win', browser: 'IE', version: 8 }], does: "help" },
     //f3
-    { key: KEY.F3, name: "F3", browsers: "Win-IE8", does: "find" },
-    { key: KEY.CTRL + KEY.F3, name: "Ctrl+F3", browsers: "Mac-all", does: "finder" },
+    { key: KEY.F3, environments: [{ os: 'Win', browser: 'IE', version: 8 }], does: "find" },
+    { key: KEY.CTRL + KEY.F3, environments: [{ os: 'Mac' }], does: "finder" },
     //f4
-    { key: KEY.F4, name: "F4", browsers: "Win-IE8", does: "address bar/history" },
-    { key: KEY.CTRL + KEY.F4, name: "Ctrl+F4", browsers: "Win-all", does: "close window" },
-    { key: KEY.ALT + KEY.F4, name: "Alt+F4", browsers: "Win-all", does: "close browser" },
+    { key: KEY.F4, environments: [{ os: 'Win', browser: 'IE', version: 8 }], does: "address bar/history" },
+    { key: KEY.CTRL + KEY.F4, environments: [{ os: 'Win' }], does: "close window" },
+    { key: KEY.ALT + KEY.F4, environments: [{ os: 'Win' }], does: "close browser" },
     //f5
-    { key: KEY.F5, name: "F5", browsers: "Win-IE8, Win-Safari3", does: "reload" },
+    { key: KEY.F5, environments: [{ os: 'Win', browser: 'IE', version: 8 }, { os: 'Win', browser: 'Safari', version: 3 }], does: "reload" },
     //f6
-    { key: KEY.ALT + KEY.F6, name: "Alt+F6", browsers: "Win-IE7, Win-IE8, Win-Safari3", does: "nothing" },
-    { key: KEY.SHIFT + KEY.ALT + KEY.F6, name: "Shift+Alt+F6", browsers: "Win-IE7, Win-IE8, Win-Safari3", does: "nothing" },
+    { key: KEY.ALT + KEY.F6, environments: [{ os: 'Win', browser: 'IE', version: 7 }, { os: 'Win', browser: 'IE', version: 8 }, { os: 'Win', browser: 'Safari', version: 3 }], does: "nothing" },
+    { key: KEY.SHIFT + KEY.ALT + KEY.F6, environments: [{ os: 'Win', browser: 'IE', version: 7 }, { os: 'Win', browser: 'IE', version: 8 }, { os: 'Win', browser: 'Safari', version: 3 }], does: "nothing" },
     //f8
-    { key: KEY.CTRL + KEY.F8, name: "Ctrl+F8", browsers: "Mac-all", does: "time machine" },
+    { key: KEY.CTRL + KEY.F8, environments: [{ os: 'Mac' }], does: "time machine" },
     //f9
-    { key: KEY.F9, name: "F9", browsers: "Mac-all", does: "exposé" },
-    { key: KEY.SHIFT + KEY.F9, name: "Shift+F9", browsers: "Mac-all", does: "exposé" },
+    { key: KEY.F9, environments: [{ os: 'Mac' }], does: "exposé" },
+    { key: KEY.SHIFT + KEY.F9, environments: [{ os: 'Mac' }], does: "exposé" },
     //f10
-    { key: KEY.F10, name: "F10", browsers: "Win-IE8, Mac-all", does: "menu bar on Windows, exposé on Mac" },
-    { key: KEY.SHIFT + KEY.F10, name: "Shift+F10", browsers: "Win-Safari3, Mac-all", does: "context menu on Windows, exposé on Mac" },
+    { key: KEY.F10, environments: [{ os: 'Win', browser: 'IE', version: 8 }, { os: 'Mac' }], does: "menu bar on Windows, exposé on Mac" },
+    { key: KEY.SHIFT + KEY.F10, environments: [{ os: 'Win', browser: 'Safari', version: 3 }, { os: 'Mac' }], does: "context menu on Windows, exposé on Mac" },
     //f11
-    { key: KEY.F11, name: "F11", browsers: "Win-IE8, Mac-all", does: "full screen on Windows, exposé on Mac" },
-    { key: KEY.SHIFT + KEY.F11, name: "Shift+F11", browsers: "Mac-all", does: "exposé" },
+    { key: KEY.F11, environments: [{ os: 'Win', browser: 'IE', version: 8 }, { os: 'Mac' }], does: "full screen on Windows, exposé on Mac" },
+    { key: KEY.SHIFT + KEY.F11, environments: [{ os: 'Mac' }], does: "exposé" },
     //f12
-    { key: KEY.F12, name: "F12", browsers: "Mac-all", does: "exposé" },
-    { key: KEY.SHIFT + KEY.F12, name: "Shift+F12", browsers: "Mac-all", does: "exposé" },
+    { key: KEY.F12, environments: [{ os: 'Mac' }], does: "exposé" },
+    { key: KEY.SHIFT + KEY.F12, environments: [{ os: 'Mac' }], does: "exposé" },
     //numlock
-    { key: KEY.NUMLOCK, name: "NumLock", browsers: "all browsers" },
-    { key: KEY.CTRL + KEY.NUMLOCK, name: "Ctrl+NumLock", browsers: "all browsers", does: "nothing" },
-    { key: KEY.SHIFT + KEY.NUMLOCK, name: "Shift+NumLock", browsers: "all browsers" },
-    { key: KEY.ALT + KEY.NUMLOCK, name: "Alt+NumLock", browsers: "all browsers" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMLOCK, name: "Ctrl+Shift+NumLock", browsers: "all browsers" },
-    { key: KEY.CTRL + KEY.ALT + KEY.NUMLOCK, name: "Ctrl+Alt+NumLock", browsers: "all browsers" },
-    { key: KEY.SHIFT + KEY.ALT + KEY.NUMLOCK, name: "Shift+Alt+NumLock", browsers: "all browsers" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMLOCK, name: "Ctrl+Shift+Alt+NumLock", browsers: "all browsers" },
+    { key: KEY.NUMLOCK, environments: [{}] },
+    { key: KEY.CTRL + KEY.NUMLOCK, environments: [{}], does: "nothing" },
+    { key: KEY.SHIFT + KEY.NUMLOCK, environments: [{}] },
+    { key: KEY.ALT + KEY.NUMLOCK, environments: [{}] },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.NUMLOCK, environments: [{}] },
+    { key: KEY.CTRL + KEY.ALT + KEY.NUMLOCK, environments: [{}] },
+    { key: KEY.SHIFT + KEY.ALT + KEY.NUMLOCK, environments: [{}] },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.NUMLOCK, environments: [{}] },
     //scrolllock
-    { key: KEY.SCROLL, name: "ScrollLock", browsers: "all browsers" },
-    { key: KEY.CTRL + KEY.SCROLL, name: "Ctrl+ScrollLock", browsers: "all browsers", does: "nothing" },
-    { key: KEY.SHIFT + KEY.SCROLL, name: "Shift+ScrollLock", browsers: "all browsers" },
-    { key: KEY.ALT + KEY.SCROLL, name: "Alt+ScrollLock", browsers: "all browsers" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.SCROLL, name: "Ctrl+Shift+ScrollLock", browsers: "all browsers" },
-    { key: KEY.CTRL + KEY.ALT + KEY.SCROLL, name: "Ctrl+Alt+ScrollLock", browsers: "all browsers" },
-    { key: KEY.SHIFT + KEY.ALT + KEY.SCROLL, name: "Shift+Alt+ScrollLock", browsers: "all browsers" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.SCROLL, name: "Ctrl+Shift+Alt+ScrollLock", browsers: "all browsers" },
+    { key: KEY.SCROLL, environments: [{}] },
+    { key: KEY.CTRL + KEY.SCROLL, environments: [{}], does: "nothing" },
+    { key: KEY.SHIFT + KEY.SCROLL, environments: [{}] },
+    { key: KEY.ALT + KEY.SCROLL, environments: [{}] },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.SCROLL, environments: [{}] },
+    { key: KEY.CTRL + KEY.ALT + KEY.SCROLL, environments: [{}] },
+    { key: KEY.SHIFT + KEY.ALT + KEY.SCROLL, environments: [{}] },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.ALT + KEY.SCROLL, environments: [{}] },
     //plus
-    { key: KEY.PLUS, name: "+", browsers: "Win-FF2, Win-FF3" },
-    { key: KEY.CTRL + KEY.PLUS, name: "Ctrl++", browsers: "Win-all", does: "zoom" },
-    { key: KEY.SHIFT + KEY.PLUS, name: "Shift++", browsers: "Win-FF2, Win-FF3" },
-    { key: KEY.ALT + KEY.PLUS, name: "Alt++", browsers: "Win-FF2, Win-FF3" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.PLUS, name: "Ctrl+Shift++", browsers: "Win-all", does: "zoom" },
+    { key: KEY.PLUS, environments: [{ os: 'Win', browser: 'Firefox', version: 2 }, { os: 'Win', browser: 'Firefox', version: 3 }] },
+    { key: KEY.CTRL + KEY.PLUS, environments: [{ os: 'Win' }], does: "zoom" },
+    { key: KEY.SHIFT + KEY.PLUS, environments: [{ os: 'Win', browser: 'Firefox', version: 2 }, { os: 'Win', browser: 'Firefox', version: 3 }] },
+    { key: KEY.ALT + KEY.PLUS, environments: [{ os: 'Win', browser: 'Firefox', version: 2 }, { os: 'Win', browser: 'Firefox', version: 3 }] },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.PLUS, environments: [{ os: 'Win' }], does: "zoom" },
     //minus
-    { key: KEY.MINUS, name: "-", browsers: "Win-FF2, Win-FF3" },
-    { key: KEY.CTRL + KEY.MINUS, name: "Ctrl+-", browsers: "Win-all", does: "zoom" },
-    { key: KEY.SHIFT + KEY.MINUS, name: "Shift+-", browsers: "Win-FF2, Win-FF3" },
-    { key: KEY.ALT + KEY.MINUS, name: "Alt+-", browsers: "Win-FF2, Win-FF3" },
-    { key: KEY.CTRL + KEY.SHIFT + KEY.MINUS, name: "Ctrl+Shift+-", browsers: "Win-all", does: "zoom" },
+    { key: KEY.MINUS, environments: [{ os: 'Win', browser: 'Firefox', version: 2 }, { os: 'Win', browser: 'Firefox', version: 3 }] },
+    { key: KEY.CTRL + KEY.MINUS, environments: [{ os: 'Win' }], does: "zoom" },
+    { key: KEY.SHIFT + KEY.MINUS, environments: [{ os: 'Win', browser: 'Firefox', version: 2 }, { os: 'Win', browser: 'Firefox', version: 3 }] },
+    { key: KEY.ALT + KEY.MINUS, environments: [{ os: 'Win', browser: 'Firefox', version: 2 }, { os: 'Win', browser: 'Firefox', version: 3 }] },
+    { key: KEY.CTRL + KEY.SHIFT + KEY.MINUS, environments: [{ os: 'Win' }], does: "zoom" },
     //æ
-    { key: KEY.ALT + KEY.AE, name: "Alt+Æ", browsers: "Win-IE7 (DK)" },
+    { key: KEY.ALT + KEY.AE, environments: [{ os: 'Win', browser: 'IE', version: 7, layout: 'DK' }] },
     //accent
-    { key: KEY.ACCENT, name: "´", browsers: "Mac-Safari3" },
-    { key: KEY.CTRL + KEY.ACCENT, name: "Ctrl+´", browsers: "Mac-Safari3" },
-    { key: KEY.SHIFT + KEY.ACCENT, name: "Shift+´", browsers: "Mac-Safari3" },
-    { key: KEY.ALT + KEY.ACCENT, name: "Alt+´", browsers: "Mac-Safari3" },
+    { key: KEY.ACCENT, environments: [{ os: 'Mac', browser: 'Safari', version: 3 }] },
+    { key: KEY.CTRL + KEY.ACCENT, environments: [{ os: 'Mac', browser: 'Safari', version: 3 }] },
+    { key: KEY.SHIFT + KEY.ACCENT, environments: [{ os: 'Mac', browser: 'Safari', version: 3 }] },
+    { key: KEY.ALT + KEY.ACCENT, environments: [{ os: 'Mac', browser: 'Safari', version: 3 }] },
     //half
-    { key: KEY.HALF, name: "½", browsers: "Mac-Safari3" },
-    { key: KEY.CTRL + KEY.HALF, name: "Ctrl+½", browsers: "Mac-Safari3" },
-    { key: KEY.SHIFT + KEY.HALF, name: "Shift+½", browsers: "Mac-Safari3" },
-    { key: KEY.ALT + KEY.HALF, name: "Alt+½", browsers: "Mac-Safari3" },
+    { key: KEY.HALF, environments: [{ os: 'Mac', browser: 'Safari', version: 3 }] },
+    { key: KEY.CTRL + KEY.HALF, environments: [{ os: 'Mac', browser: 'Safari', version: 3 }] },
+    { key: KEY.SHIFT + KEY.HALF, environments: [{ os: 'Mac', browser: 'Safari', version: 3 }] },
+    { key: KEY.ALT + KEY.HALF, environments: [{ os: 'Mac', browser: 'Safari', version: 3 }] },
     //alt
-    { key: KEY.ALT, name: "Alt", browsers: "Win-IE7, Win-IE8", does: "activate menu" }
+    { key: KEY.ALT, environments: [{ os: 'Win', browser: 'IE', version: 7 }, { os: 'Win', browser: 'IE', version: 8 }], does: "activate menu" }
   ], function (obj) {
-    var text = obj.name + ' is unmappable in ' + obj.browsers;
-    if (obj.does) {
-      text += ' (' + obj.does + ')';
-    }
-    broken[obj.key] = text;
+    broken[obj.key] = obj;
   });
   
-  // Safari 3.1.2 for Mac always send keyCodes based on a US keyboard layout
-  // Fortunately they have implemented DOM3 keyIdentifier
-  // They did it wrong, but we can still use it to figure out which key was pressed
-  // This is for Danish keyboard layout only - it WILL break on other layouts!
-  safariTranslator = {
-    "U+0022": KEY.TWO,
-    "U+0026": KEY.SIX,
-    "U+0027": KEY.APOSTROPHE,
-    "U+0028": KEY.EIGHT,
-    "U+0029": KEY.NINE,
-    "U+002A": KEY.APOSTROPHE,
-    "U+002F": KEY.SEVEN,
-    "U+003A": KEY.PERIOD,
-    "U+003B": KEY.COMMA,
-    "U+003C": KEY.ANGLE,
-    "U+003D": KEY.ZERO,
-    "U+003E": KEY.ANGLE,
-    "U+003F": KEY.PLUS,
-    "U+00C5": KEY.AA,
-    "U+00C6": KEY.AE,
-    "U+00D8": KEY.OE,
-    "U+00E5": KEY.AA,
-    "U+00E6": KEY.AE,
-    "U+00F8": KEY.OE,
-    "U+20AC": KEY.FOUR
-  };
+  // This function describes an environment of a broken key, e.g. "Win-IE7 (DK)"
+  function environmentText(environment) {
+    var text;
+    if (!environment.os && !environment.browser) {
+      return 'all browsers';
+    }
+    text = (environment.os || 'all') + '-' + (environment.browser ? environment.browser + (environment.version || '') : 'all');
+    return environment.layout ? text + ' (' + environment.layout + ')' : text;
+  }
+  
+  // This function detects the environment of the page: the operating system
+  // ('Win', 'Mac' or 'Linux'), the browser ('IE', 'Edge', 'Firefox', 'Chrome',
+  // 'Safari' or 'Opera') and its major version, and the keyboard layout in use.
+  // Unknown properties are null.
+  function detectEnvironment() {
+    var agent = '', platform = '', browsers, match, i, environment;
+    
+    // Without a browser, e.g. in Node, nothing is known
+    if (typeof navigator !== 'undefined') {
+      agent = navigator.userAgent;
+      platform = navigator.platform;
+    }
+    
+    environment = {
+      os: /Mac/.test(platform) ? 'Mac' : /Win/.test(platform) ? 'Win' : /Linux/.test(platform) ? 'Linux' : null,
+      browser: null,
+      version: null,
+      layout: layout.name
+    };
+    
+    // Most browsers claim to be some of the others as well, so the order matters
+    browsers = [
+      ['Edge', /Edg(?:e|A|iOS)?\/(\d+)/],
+      ['Opera', /(?:OPR|Opera)\/(\d+)/],
+      ['Chrome', /Chrome\/(\d+)/],
+      ['Safari', /Version\/(\d+).*Safari/],
+      ['Firefox', /Firefox\/(\d+)/],
+      ['IE', /(?:MSIE |Trident\/.*rv:)(\d+)/]
+    ];
+    for (i = 0; i < browsers.length; i += 1) {
+      match = browsers[i][1].exec(agent);
+      if (match) {
+        environment.browser = browsers[i][0];
+        environment.version = Number(match[1]);
+        break;
+      }
+    }
+    return environment;
+  }
+  
+  // This function returns the message of the broken key 'entry'. The key is
+  // named as on the keyboard layout in use, so it's made when it's reported.
+  function brokenMessage(entry) {
+    var environments = [], message, i;
+    for (i = 0; i < entry.environments.length; i += 1) {
+      environments.push(environmentText(entry.environments[i]));
+    }
+    message = format(entry.key) + ' is unmappable in ' + environments.join(', ');
+    return entry.does ? message + ' (' + entry.does + ')' : message;
+  }
+  
+  // This function returns a description of the broken key 'entry', as used by
+  // Keyboard.brokenKeys()
+  function brokenInfo(entry) {
+    return {
+      key: entry.key,
+      text: format(entry.key),
+      environments: entry.environments,
+      does: entry.does || null,
+      message: brokenMessage(entry)
+    };
+  }
+  
+  // This function tells if 'environment' is one of 'environments'. Properties
+  // that are null or missing in either match anything.
+  function inEnvironment(environments, environment) {
+    var i, name, found;
+    for (i = 0; i < environments.length; i += 1) {
+      found = true;
+      for (name in environment) {
+        if (environment.hasOwnProperty(name) && environment[name] !== null && environment[name] !== undefined &&
+            environments[i][name] !== null && environments[i][name] !== undefined && environments[i][name] !== environment[name]) {
+          found = false;
+        }
+      }
+      if (found) {
+        return true;
+      }
+    }
+    return false;
+  }
+  
+  // This function returns the broken key entry of 'key', if the key is broken in
+  // 'environment' (by default the configured or detected environment)
+  function findBroken(key, environment) {
+    var entry = broken[key];
+    environment = environment || options.environment || detectEnvironment();
+    return (entry && inEnvironment(entry.environments, environment)) ? entry : null;
+  }
   
   // This function detects all valid accesskeys in IE
   function isAccessKey(key, alt) {
@@ -482,206 +1305,2485 @@ var Keyboard = function () {
     ));
   }
   
-  // The universal default keyboard event canceller function
-  // This function will cancel the default action of all keys that we map
-  function cancel(keys, event) {
-    var key, handler;
+  // This function adds a keyboard layout to the list of known layouts
+  function defineLayout(name, table) {
+    layouts[name] = {
+      name:       name,
+      translator: table.translator || {},
+      aliases:    table.aliases    || {},
+      names:      table.names      || {},
+      codes:      table.codes      || {}
+    };
+  }
+  
+  // This function selects the keyboard layout to use. Keys should be registered
+  // after selecting the layout.
+  function useLayout(name) {
+    var key;
     
-    if (lib.webkit && event.keyIdentifier && safariTranslator[event.keyIdentifier]) {
-      key = [safariTranslator[event.keyIdentifier], event.ctrlKey, event.shiftKey, event.altKey];
-    } else {
-      key = [event.keyCode, event.ctrlKey, event.shiftKey, event.altKey];
+    if (!layouts[name]) {
+      error(new KeyboardError("Unknown keyboard layout " + name + "!", { layout: name }));
+      return;
     }
+    layout = layouts[name];
     
-    handler = keys[key];
+    // Reverse list of key names (lowercase) for parsing. The KEY constant names
+    // (e.g. "PAGEUP" or "NUMPAD0") and the name aliases are accepted as well.
+    lookupNames = {};
+    for (key in KEY) {
+      if (KEY.hasOwnProperty(key) && typeof KEY[key] === 'number') {
+        lookupNames[key.toLowerCase()] = KEY[key];
+      }
+    }
+    for (key in nameAliases) {
+      if (nameAliases.hasOwnProperty(key)) {
+        lookupNames[key] = nameAliases[key];
+      }
+    }
+    for (key in names) {
+      if (names.hasOwnProperty(key)) {
+        lookupNames[names[key].toLowerCase()] = Number(key);
+      }
+    }
+    for (key in layout.names) {
+      if (layout.names.hasOwnProperty(key)) {
+        lookupNames[layout.names[key].toLowerCase()] = Number(key);
+      }
+    }
     
-    if (handler) {
-      lib.stopEvent(event);
-      
-      // Kill default behaviour of F-keys in IE
-      if (lib.msie && event.keyCode >= 112 && event.keyCode <= 123) {
-        event.keyCode = 0;
+    // Reverse list of physical keys, for matching event.code
+    codeKeys = {};
+    for (key in KEY.CODE) {
+      if (KEY.CODE.hasOwnProperty(key)) {
+        codeKeys[KEY.CODE[key]] = Number(key);
       }
-      
-      // For Alt+<alfanumeric> in IE, move accesskey div to be onscreen, so there's no jumping
-      if (lib.msie && isAccessKey(event.keyCode, event.altKey)) {
-        lib.setStyle('__altkeyhandler_' + event.keyCode, {
-          left: (document.body.parentNode.scrollLeft || document.body.scrollLeft) + 'px',
-          top:  (document.body.parentNode.scrollTop  || document.body.scrollTop)  + 'px'
-        });
+    }
+    for (key in layout.codes) {
+      if (layout.codes.hasOwnProperty(key)) {
+        codeKeys[layout.codes[key]] = Number(key);
       }
     }
   }
   
-  // The universal keyboard event handler function
-  function monitor(keys, event) {
-    var key, handler;
-        
-    if (lib.webkit && event.keyIdentifier && safariTranslator[event.keyIdentifier]) {
-      key = [safariTranslator[event.keyIdentifier], event.ctrlKey, event.shiftKey, event.altKey];
-    } else {
-      key = [event.keyCode, event.ctrlKey, event.shiftKey, event.altKey];
-    }
+  // This function converts a key (keycode plus modifiers) into a 'keyspec' index
+  function makeIndex(key) {
+    var keyCode  = layout.aliases[key & KEYMASK] || (key & KEYMASK),
+        ctrlKey  = !!(key & KEY.CTRL),
+        shiftKey = !!(key & KEY.SHIFT),
+        altKey   = !!(key & KEY.ALT),
+        metaKey  = !!(key & KEY.META),
+        altGraph = !!(key & KEY.ALTGR);
     
-    handler = keys[key];
-    
-    if (handler) {
-      switch (typeof handler) {
-      case 'function':
-        // Call handler in context of event target
-        handler.call(lib.eventTarget(event), event);
-        break;
-      case 'object':
-        // Call handler in specified context
-        handler[1].call(handler[0], event);
-        break;
+    // Handle Ctrl, Shift, Alt and Meta solitary mappings
+    if (keyCode === 0) {
+      switch (key) {
+      case KEY.CTRL:
+        return [KEYCTRL, false, false, false, false, false];
+      case KEY.SHIFT:
+        return [KEYSHIFT, false, false, false, false, false];
+      case KEY.ALT:
+        return [KEYALT, false, false, false, false, false];
+      case KEY.META:
+        return [KEYMETA, false, false, false, false, false];
       }
-      lib.stopEvent(event);
     }
+    
+    return [keyCode, ctrlKey, shiftKey, altKey, metaKey, altGraph];
   }
   
-  // This function will setup 'element' for keyboard event monitoring, and return
-  // an object that can be used to register keys and the methods they should call
-  function makeHandler(element) {
-    var keys, handler, target;
+  // This function converts a human-readable key name such as "Ctrl+Shift+F" into
+  // a key. Key sequences are separated by whitespace (e.g. "Ctrl+K Ctrl+C"), and
+  // are returned as an array of keys. Returns null if a key name is not known.
+  function parse(text) {
+    var i, chords = String(text).replace(/^\s+|\s+$/g, '').split(/\s+/), keys = [], key, match;
     
-    if (typeof element === 'string') {
-      element = document.getElementById(element);
+    for (i = 0; i < chords.length; i += 1) {
+      key = 0;
+      
+      // Everything up to the last '+' not being part of the key name is modifiers
+      match = /^([^+]+)\+(.+)$/.exec(chords[i]);
+      while (match && lookupNames[match[1].toLowerCase()] > KEYMASK) {
+        key += lookupNames[match[1].toLowerCase()];
+        chords[i] = match[2];
+        match = /^([^+]+)\+(.+)$/.exec(chords[i]);
+      }
+      
+      if (/^#\d+$/.test(chords[i])) {
+        key += Number(chords[i].substring(1));
+      } else if (lookupNames.hasOwnProperty(chords[i].toLowerCase())) {
+        key += lookupNames[chords[i].toLowerCase()];
+      } else {
+        return null;
+      }
+      keys.push(key);
     }
-    target = (element === document) ? document.body : element;
-    
-    // Will contain key functions, keyed by 'keyspecs' (an array containing
-    // keycode and ctrl, shift and alt boolean indicators)
-    keys = {};
     
-    // Setup the universal keyboard event handler function for this element
-    lib.observe(element, 'keydown', function (event) {
-      cancel(keys, event);
-    });
-    lib.observe(element, 'keyup', function (event) {
-      monitor(keys, event);
-    });
+    return (keys.length === 1) ? keys[0] : keys;
+  }
+  
+  // This function converts a key, or an array of keys (a key sequence), into a
+  // human-readable key name such as "Ctrl+Shift+F"
+  function format(key) {
+    var i, text = [], keyCode;
     
-    // Make element focusable
-    if (target.tabIndex === -1 || !target.tabIndex) {
-      if (target.nodeName === "INPUT") {
-        target.tabIndex = 0;
-      } else {
-        // This will remove tab-stop ability from non-input targets with tabindex="0",
-        // but IE returns 0 for elements without tabindex, so we have to do it!
-        target.tabIndex = -1;
+    if (typeof key !== 'number') {
+      for (i = 0; i < key.length; i += 1) {
+        text.push(format(key[i]));
       }
+      return text.join(' ');
     }
     
-    // The keyboard handler instance object
-    handler = {
-      register: function (key, method, override) {
-        var keyCode  = key & KEYMASK,
-            ctrlKey  = !!(key & KEY.CTRL),
-            shiftKey = !!(key & KEY.SHIFT),
-            altKey   = !!(key & KEY.ALT),
-            index    = [keyCode, ctrlKey, shiftKey, altKey],
-            target, div;
-        
+    for (i = 0; i < modifierNames.length; i += 1) {
+      if (key & modifierNames[i][0]) {
+        text.push(modifierNames[i][1]);
+      }
+    }
+    keyCode = key & KEYMASK;
+    if (keyCode) {
+      keyCode = layout.aliases[keyCode] || keyCode;
+      text.push(layout.names[keyCode] || names[keyCode] || ('#' + keyCode));
+    }
+    return text.join('+');
+  }
+  
+  // This function converts a key name, or an array of keys and/or key names, into
+  // a key (or an array of keys, for a key sequence). Returns null for unknown names.
+  function toKey(key) {
+    var i, keys;
+    if (typeof key === 'string') {
+      return parse(key);
+    }
+    if (typeof key === 'number') {
+      return key;
+    }
+    keys = [];
+    for (i = 0; i < key.length; i += 1) {
+      keys.push(toKey(key[i]));
+      if (typeof keys[i] !== 'number') {
+        return null;
+      }
+    }
+    return keys;
+  }
+  
+  // This function converts a key, or an array of keys, into a key sequence (an
+  // array of 'keyspec' indexes). A plain key is a sequence of length one.
+  function makeSequence(key) {
+    var i, sequence = [];
+    if (typeof key === 'number') {
+      key = [key];
+    }
+    for (i = 0; i < key.length; i += 1) {
+      sequence.push(makeIndex(key[i]));
+    }
+    return sequence;
+  }
+  
+  // This function returns the key (e.g. KEY.CTRL + KEY.S) of the keyspec 'index'.
+  // A modifier key gives just the modifiers, e.g. KEY.CTRL for Ctrl.
+  function indexKey(index) {
+    var key = (index[1] ? KEY.CTRL : 0) | (index[2] ? KEY.SHIFT : 0) |
+      (index[3] ? KEY.ALT : 0) | (index[4] ? KEY.META : 0) | (index[5] ? KEY.ALTGR : 0);
+    
+    switch (index[0]) {
+    case KEYCTRL:
+      return key | KEY.CTRL;
+    case KEYSHIFT:
+      return key | KEY.SHIFT;
+    case KEYALT:
+      return index[5] ? key : key | KEY.ALT;
+    case KEYMETA:
+      return key | KEY.META;
+    }
+    return key + index[0];
+  }
+  
+  // This function returns a readable description of a key sequence, for error messages
+  function describe(sequence) {
+    var i, text = [];
+    for (i = 0; i < sequence.length; i += 1) {
+      text.push(sequence[i][0] + " (ctrl=" + sequence[i][1] + ", shift=" + sequence[i][2] + ", alt=" + sequence[i][3] + ", meta=" + sequence[i][4] + ", altgr=" + sequence[i][5] + ")");
+    }
+    return "Key " + text.join(", then ");
+  }
+  
+  // This function converts the Ctrl+Alt keys of a key sequence into AltGr keys.
+  // Returns null if there are no Ctrl+Alt keys in the key sequence.
+  function altGraphSequence(sequence) {
+    var i, result = [], changed = false;
+    for (i = 0; i < sequence.length; i += 1) {
+      if (sequence[i][1] && sequence[i][3]) {
+        result.push([sequence[i][0], false, sequence[i][2], false, sequence[i][4], true]);
+        changed = true;
+      } else {
+        result.push(sequence[i]);
+      }
+    }
+    return changed ? result : null;
+  }
+  
+  // This function returns the native event of 'event' (jQuery wraps the native
+  // event, and only copies some of its properties)
+  function nativeEvent(event) {
+    return event.originalEvent || event;
+  }
+  
+  // This function keeps track of the AltGr key, for browsers which can't tell.
+  // Windows reports AltGr as Ctrl+Alt, where Alt is the right Alt key.
+  function trackAltGraph(event) {
+    var original = nativeEvent(event);
+    if (event.keyCode === KEYALT) {
+      altGraphDown = event.type === 'keydown' && event.ctrlKey && (original.location === 2 || original.keyLocation === 2);
+    }
+  }
+  
+  // This function tells if AltGr is pressed during 'event'
+  function isAltGraph(event) {
+    var original = nativeEvent(event);
+    if (original.getModifierState) {
+      return original.getModifierState('AltGraph');
+    }
+    return altGraphDown && event.ctrlKey && event.altKey;
+  }
+  
+  // This function returns the key code of the key of 'event', by its physical
+  // key (event.code) or its logical key (event.key), or null if unknown
+  function modernKeyCode(event, match) {
+    var original = nativeEvent(event), keyCode = null;
+    
+    if (match === 'code' && original.code) {
+      keyCode = codeKeys[original.code] || null;
+    } else if (match === 'key' && original.key) {
+      keyCode = (original.key === ' ') ? KEY.SPACE : lookupNames[original.key.toLowerCase()];
+      if (!keyCode || (keyCode & ~KEYMASK)) {
+        // Modifiers and characters without a key of their own, e.g. "?"
+        keyCode = null;
+      }
+    }
+    return keyCode;
+  }
+  
+  // This function returns the 'keyspec' index of a keyboard event. 'match' tells
+  // whether to use event.keyCode (the default), event.code or event.key, see
+  // matchTypes. Browsers without event.code and event.key use event.keyCode.
+  function eventIndex(event, match) {
+    var keyCode = (match && match !== 'keyCode') ? modernKeyCode(event, match) : null;
+    
+    if (keyCode) {
+      return modifierIndex(event, keyCode);
+    }
+    keyCode = event.keyCode;
+    
+    // Only WebKit sends keyIdentifier
+    if (event.keyIdentifier && layout.translator[event.keyIdentifier]) {
+      keyCode = layout.translator[event.keyIdentifier];
+    }
+    
+    // Special care for keys with different key codes in IE/Safari and Gecko,
+    // like the 'umlaut' key
+    if (layout.aliases[keyCode]) {
+      keyCode = layout.aliases[keyCode];
+    }
+    
+    // Left/right Cmd keys are 91/93 in Safari and 224 in Gecko, Windows keys are 91/92
+    if (keyCode === 92 || keyCode === 93 || keyCode === 224) {
+      keyCode = KEYMETA;
+    }
+    return modifierIndex(event, keyCode);
+  }
+  
+  // This function returns the 'keyspec' index of 'keyCode' with the modifiers of 'event'
+  function modifierIndex(event, keyCode) {
+    // AltGr is reported as Ctrl+Alt on Windows, and not at all on other platforms
+    if (isAltGraph(event)) {
+      return [keyCode, false, event.shiftKey, false, !!event.metaKey, true];
+    }
+    
+    // Note: metaKey is undefined in IE
+    return [keyCode, event.ctrlKey, event.shiftKey, event.altKey, !!event.metaKey, false];
+  }
+  
+  // This function tells if a binding may be used in the active scope
+  function isActive(binding) {
+    return binding.always || binding.scope === (scopes.length ? scopes[scopes.length - 1] : null);
+  }
+  
+  // This function tells if two bindings can be active at the same time.
+  // Bindings delegated to different elements don't get in each other's way.
+  function overlaps(binding, other) {
+    return (binding.always || other.always || binding.scope === other.scope) && binding.selector === other.selector;
+  }
+  
+  // This function returns the element a binding registered with the 'selector'
+  // option is used for, i.e. the event target or the closest ancestor of it
+  // inside the element of the binding matching the selector, if any
+  function delegateTarget(binding, event) {
+    var element = lib.eventTarget(event);
+    while (element && element.nodeType === 1 && element !== binding.element) {
+      if (lib.matches(element, binding.selector)) {
+        return element;
+      }
+      element = element.parentNode;
+    }
+    return null;
+  }
+  
+  // Will contain the named commands, keyed by name, see Keyboard.command()
+  commands = {};
+  
+  // This function tells if the key function 'handler' may be called now. A key
+  // function given by name must be an enabled command, whose 'when' function
+  // (if any) returns true.
+  function isAvailable(handler, event) {
+    var command;
+    if (typeof handler !== 'string') {
+      return true;
+    }
+    command = commands.hasOwnProperty(handler) ? commands[handler] : null;
+    return !!command && command.enabled && (!command.when || !!command.when(event));
+  }
+  
+  // This function returns the first active binding in a list of bindings, if any.
+  // While typing, only bindings with the 'allowInInputs' option are active.
+  // With 'match', only bindings matched that way are considered, and with
+  // 'event', only bindings with a 'selector' matching the target of the event.
+  function findActive(bindings, typing, match, event) {
+    var i;
+    for (i = 0; bindings && i < bindings.length; i += 1) {
+      if (isActive(bindings[i]) && (!typing || bindings[i].allowInInputs) && (!match || bindings[i].match === match) &&
+          (!event || !bindings[i].selector || delegateTarget(bindings[i], event)) && isAvailable(bindings[i].method, event)) {
+        return bindings[i];
+      }
+    }
+    return null;
+  }
+  
+  // This function tells if 'element' is a form field or a contentEditable region,
+  // i.e. something the user can type in. This is the default 'ignoreEditable'.
+  function isEditable(element) {
+    var name = element.nodeName;
+    if (name === 'INPUT' || name === 'TEXTAREA' || name === 'SELECT') {
+      return true;
+    }
+    while (element && element.nodeType === 1 && element.contentEditable !== 'false') {
+      if (element.isContentEditable || element.contentEditable === 'true') {
+        return true;
+      }
+      element = element.parentNode;
+    }
+    return false;
+  }
+  
+  // This function tells if the user is typing in an editable element, other than
+  // the element of the handler itself, when 'event' occurs
+  function isTyping(state, event) {
+    var target = lib.eventTarget(event);
+    return !!options.ignoreEditable && target !== state.element && !!options.ignoreEditable(target, event);
+  }
+  
+  // This function returns the first binding in a list of bindings that can be
+  // active at the same time as 'binding', if any. With 'samePriority', only
+  // bindings with the priority of 'binding' count.
+  function findOverlapping(bindings, binding, samePriority) {
+    var i;
+    for (i = 0; bindings && i < bindings.length; i += 1) {
+      if (overlaps(bindings[i], binding) && (!samePriority || bindings[i].priority === binding.priority)) {
+        return bindings[i];
+      }
+    }
+    return null;
+  }
+  
+  // This function adds 'binding' to the list of bindings stored as 'name' in
+  // 'list', after any bindings with the same or a higher priority
+  function insertBinding(list, name, binding) {
+    var bindings = (list[name] || []).concat(), i = bindings.length;
+    while (i > 0 && bindings[i - 1].priority < binding.priority) {
+      i -= 1;
+    }
+    bindings.splice(i, 0, binding);
+    list[name] = bindings;
+  }
+  
+  // This function returns the binding of 'method' in 'scope' (or outside of any
+  // scope) in a list of bindings. Without 'method', the first binding in 'scope'.
+  function findBinding(bindings, scope, method) {
+    var i;
+    for (i = 0; bindings && i < bindings.length; i += 1) {
+      if (bindings[i].scope === (scope || null) && (!method || bindings[i].method === method)) {
+        return bindings[i];
+      }
+    }
+    return null;
+  }
+  
+  // This function returns a description of 'binding', as used by describe()
+  function bindingInfo(binding, element) {
+    var command = (typeof binding.method === 'string' && commands.hasOwnProperty(binding.method)) ? commands[binding.method] : null;
+    return {
+      key: binding.character || binding.key,
+      text: binding.character || format(toKey(binding.key)),
+      description: binding.description || (command ? command.description : ''),
+      group: binding.group,
+      hidden: binding.hidden,
+      scope: binding.scope,
+      priority: binding.priority,
+      selector: binding.selector || null,
+      character: binding.character || null,
+      override: binding.override,
+      active: isActive(binding),
+      element: element
+    };
+  }
+  
+  // This function removes 'binding' from the list of bindings stored as
+  // 'name' in 'list', removing the list when it becomes empty
+  function removeBinding(list, name, binding) {
+    var i;
+    for (i = 0; list[name] && i < list[name].length; i += 1) {
+      if (list[name][i] === binding) {
+        list[name].splice(i, 1);
+        break;
+      }
+    }
+    if (list[name] && !list[name].length) {
+      delete list[name];
+    }
+  }
+  
+  // This function looks up 'event' in the active mappings of a handler, continuing
+  // any pending key sequence. It returns the matched (partial) sequence and the
+  // way it was matched (see matchTypes), or null.
+  function lookup(state, event, typing) {
+    var i, match, sequence;
+    
+    function found(sequence) {
+      return findActive(state.keys[sequence], typing, match, event) || findActive(state.prefixes[sequence], typing, match, event);
+    }
+    
+    for (i = 0; state.pending && i < matchTypes.length; i += 1) {
+      match = matchTypes[i];
+      sequence = state.pending + ' ' + eventIndex(event, match);
+      if (found(sequence)) {
+        return { sequence: sequence, match: match };
+      }
+    }
+    
+    // A key that doesn't continue the pending sequence may still start a new one
+    for (i = 0; i < matchTypes.length; i += 1) {
+      match = matchTypes[i];
+      sequence = String(eventIndex(event, match));
+      if (found(sequence)) {
+        return { sequence: sequence, match: match };
+      }
+    }
+    
+    return null;
+  }
+  
+  // This function abandons any pending key sequence of a handler
+  function reset(state) {
+    if (state.timer) {
+      window.clearTimeout(state.timer);
+    }
+    state.pending = null;
+    state.timer = null;
+  }
+  
+  // This function returns the character typed with 'event', if it's a keypress
+  // event, or a keydown event in a browser supporting KeyboardEvent.key.
+  // Returns null if no character is typed, or if it's typed with Ctrl or Meta.
+  function eventChar(event) {
+    var original = nativeEvent(event), code;
+    
+    if ((event.ctrlKey || event.metaKey) && !isAltGraph(event)) {
+      return null;
+    }
+    if (event.type === 'keypress') {
+      // IE sends the character code as keyCode, Gecko sends charCode 0 for non-character keys
+      code = (event.charCode === undefined) ? event.keyCode : event.charCode;
+      return code ? String.fromCharCode(code) : null;
+    }
+    if (original.key && original.key.length === 1) {
+      return original.key;
+    }
+    return null;
+  }
+  
+  // This function calls a key function, 'handler', and returns its result
+  function invoke(handler, event, next, context) {
+    switch (typeof handler) {
+    case 'string':
+      // Call the function of the command by that name
+      return invoke(commands[handler].method, event, next, context);
+    case 'function':
+      // Call handler in context of event target, or the element it's delegated to
+      return handler.call(context || lib.eventTarget(event), event, next);
+    case 'object':
+      // Call handler in specified context
+      return handler[1].call(handler[0], event, next);
+    }
+  }
+  
+  // The debugging settings, if any, and the trace record of the event being
+  // handled, see Keyboard.debug()
+  tracing = null;
+  trace = null;
+  
+  // This function adds 'properties' to the trace record of the event being
+  // handled, if debugging
+  function note(properties) {
+    if (trace) {
+      extend(trace, properties);
+    }
+  }
+  
+  // These functions cancel the default action of 'event', and its propagation
+  // too for stopEvent(), and note it in the trace record
+  function preventDefault(event) {
+    lib.preventDefault(event);
+    note({ prevented: true });
+  }
+  function stopEvent(event) {
+    lib.stopEvent(event);
+    note({ prevented: true, stopped: true });
+  }
+  
+  // This function calls the key functions of the active bindings in a list of
+  // bindings, in order of priority, until one of them handles the key, i.e.
+  // doesn't return false or call next(). 'select' returns the key function of a
+  // binding for this event, or null to skip it (by default its method).
+  // Returns the binding that handled the key, if any.
+  function dispatch(bindings, typing, event, select) {
+    var i, handler, passed, target;
+    
+    function next() {
+      passed = true;
+    }
+    
+    bindings = (bindings || []).concat(); // Key functions may change the bindings
+    for (i = 0; i < bindings.length; i += 1) {
+      target = bindings[i].selector ? delegateTarget(bindings[i], event) : null;
+      if (isActive(bindings[i]) && (!typing || bindings[i].allowInInputs) && (!bindings[i].selector || target)) {
+        handler = select ? select(bindings[i]) : bindings[i].method;
+        if (handler && isAvailable(handler, event)) {
+          passed = false;
+          if (trace) {
+            trace.consulted.push(bindingInfo(bindings[i], bindings[i].element));
+          }
+          if (invoke(handler, event, next, target) !== false && !passed) {
+            note({ handled: bindingInfo(bindings[i], bindings[i].element) });
+            return bindings[i];
+          }
+        }
+      }
+    }
+    return null;
+  }
+  
+  // This function tells if 'event' is an auto-repeated keydown, i.e. the key
+  // is held down. Browsers without KeyboardEvent.repeat are told by the keyup.
+  function isRepeat(state, event) {
+    var original = nativeEvent(event), repeat;
+    
+    repeat = (original.repeat !== undefined) ? original.repeat : !!state.down[event.keyCode];
+    state.down[event.keyCode] = true;
+    return repeat;
+  }
+  
+  // The universal character handler function, for keypress events and, in
+  // browsers supporting KeyboardEvent.key, keydown events. Returns true if a
+  // character mapping is used.
+  function press(state, event) {
+    var character;
+    
+    if (recording) {
+      // Normal dispatch is suspended while recording a key combination
+      return true;
+    }
+    if (event.type === 'keydown') {
+      state.latest = event.keyCode;
+    }
+    if (event.type === 'keypress' && state.pressed) {
+      // Already handled by the keydown event
+      state.pressed = false;
+      stopEvent(event);
+      return true;
+    }
+    
+    character = eventChar(event);
+    if (character && dispatch(state.chars[character], isTyping(state, event), event)) {
+      state.pressed = event.type === 'keydown';
+      state.typed[state.latest] = true;
+      stopEvent(event);
+      return true;
+    }
+    return false;
+  }
+  
+  // The universal default keyboard event canceller function
+  // This function will cancel the default action of all keys that we map,
+  // including the keys of a key sequence, and call the key functions of
+  // mappings with the 'on: "keydown"' or 'onHold' options
+  function cancel(state, event) {
+    var typing, found, repeat, binding;
+    
+    if (recording) {
+      return;
+    }
+    trackAltGraph(event);
+    repeat = isRepeat(state, event);
+    state.pressed = false;
+    if (press(state, event)) {
+      return;
+    }
+    typing = isTyping(state, event);
+    found = lookup(state, event, typing);
+    note({ found: found });
+    if (found) {
+      // Only prevent the default action, the key may still fall through to the
+      // handlers of enclosing elements
+      preventDefault(event);
+      
+      // A held key calls onHold once, and then (if allowed) the key function
+      // on each auto-repeat
+      binding = dispatch(state.keys[found.sequence], typing, event, function (candidate) {
+        if (candidate.match !== found.match) {
+          return null;
+        }
+        if (!repeat && candidate.onHold) {
+          return candidate.onHold;
+        }
+        return (candidate.on === 'keydown' && (!repeat || candidate.repeat)) ? candidate.method : null;
+      });
+      if (binding) {
+        if (!repeat && binding.onHold) {
+          state.held[event.keyCode] = binding;
+        }
+        stopEvent(event);
+      }
+      
+      // Kill default behaviour of F-keys in IE
+      if (msie && event.keyCode >= 112 && event.keyCode <= 123) {
+        event.keyCode = 0;
+        note({ keyCodeCleared: true });
+      }
+      
+      // For Alt+<alfanumeric> in IE, move accesskey div to be onscreen, so there's no jumping
+      if (msie && isAccessKey(event.keyCode, event.altKey)) {
+        lib.setStyle('__altkeyhandler_' + event.keyCode, {
+          left: (document.body.parentNode.scrollLeft || document.body.scrollLeft) + 'px',
+          top:  (document.body.parentNode.scrollTop  || document.body.scrollTop)  + 'px'
+        });
+      }
+    }
+  }
+  
+  // The universal keyboard event handler function
+  function monitor(state, event) {
+    var keyCode, typing, found, binding, held;
+    
+    if (recording) {
+      return;
+    }
+    trackAltGraph(event);
+    delete state.down[event.keyCode];
+    
+    // Releasing a held key calls onRelease, whatever modifiers are pressed now
+    held = state.held[event.keyCode];
+    if (held) {
+      delete state.held[event.keyCode];
+      if (held.onRelease) {
+        invoke(held.onRelease, event, undefined, held.selector ? delegateTarget(held, event) : null);
+      }
+    }
+    
+    // A key used by a character mapping isn't used by the key mappings as well
+    if (state.typed[event.keyCode]) {
+      delete state.typed[event.keyCode];
+      stopEvent(event);
+      return;
+    }
+    
+    keyCode = eventIndex(event)[0];
+    typing = isTyping(state, event);
+    found = lookup(state, event, typing);
+    note({ found: found });
+    
+    if (found && findActive(state.prefixes[found.sequence], typing, found.match, event)) {
+      // Beginning of a key sequence - wait for the next key
+      reset(state);
+      state.pending = found.sequence;
+      note({ waiting: true });
+      state.timer = window.setTimeout(function () {
+        reset(state);
+      }, options.sequenceTimeout);
+      stopEvent(event);
+      return;
+    }
+    
+    if (!found && state.pending && (keyCode === KEYCTRL || keyCode === KEYSHIFT || keyCode === KEYALT || keyCode === KEYMETA)) {
+      // Releasing a modifier doesn't break a pending key sequence
+      return;
+    }
+    
+    reset(state);
+    
+    binding = found && dispatch(state.keys[found.sequence], typing, event, function (candidate) {
+      return (candidate.match === found.match && candidate.on === 'keyup') ? candidate.method : null;
+    });
+    
+    // Keys not handled here are left for the handlers of enclosing elements
+    if (binding || held) {
+      stopEvent(event);
+    }
+  }
+  
+  // This function returns a one line summary of a trace record
+  function traceText(record) {
+    var text = record.type + ' ' + record.text + ' (keyCode ' + record.keyCode + (record.key ? ', key ' + record.key : '') + ')';
+    
+    if (record.suspended) {
+      return text + ': recording';
+    }
+    if (record.handled) {
+      text += ': handled by ' + record.handled.text + (record.handled.description ? ' (' + record.handled.description + ')' : '');
+    } else if (record.waiting) {
+      text += ': waiting for the next key';
+    } else {
+      text += record.found ? ': not handled' : ': not mapped';
+    }
+    if (record.stopped) {
+      text += ', stopped';
+    } else if (record.prevented) {
+      text += ', default prevented';
+    }
+    return text;
+  }
+  
+  // This function shows 'record' in the debug panel, keeping the latest lines
+  function showTrace(record) {
+    var line = document.createElement('div');
+    line.appendChild(document.createTextNode(traceText(record)));
+    tracing.panel.appendChild(line);
+    while (tracing.panel.childNodes.length > tracing.lines) {
+      tracing.panel.removeChild(tracing.panel.firstChild);
+    }
+  }
+  
+  // This function calls 'handle' (cancel or monitor) for 'event', and reports
+  // how the event was handled when debugging, see Keyboard.debug()
+  function traced(state, event, handle) {
+    var original, index, previous = trace, record;
+    
+    if (!tracing) {
+      handle(state, event);
+      return;
+    }
+    
+    // The raw event, before anything is changed by handle()
+    original = nativeEvent(event);
+    trackAltGraph(event);
+    index = eventIndex(event);
+    trace = {
+      type: event.type,
+      element: state.element,
+      target: lib.eventTarget(event),
+      keyCode: event.keyCode,
+      which: event.which,
+      charCode: event.charCode,
+      key: original.key,
+      code: original.code,
+      keyIdentifier: original.keyIdentifier,
+      location: original.location,
+      ctrlKey: event.ctrlKey,
+      shiftKey: event.shiftKey,
+      altKey: event.altKey,
+      metaKey: !!event.metaKey,
+      repeat: original.repeat,
+      index: index,
+      text: format(indexKey(index)),
+      typing: isTyping(state, event),
+      pending: state.pending,
+      suspended: !!recording,
+      found: null,
+      consulted: [],
+      handled: null,
+      waiting: false,
+      prevented: false,
+      stopped: false,
+      keyCodeCleared: false
+    };
+    
+    try {
+      handle(state, event);
+    } finally {
+      record = trace;
+      trace = previous;
+    }
+    if (tracing.panel) {
+      showTrace(record);
+    }
+    tracing.onTrace(record);
+  }
+  
+  // This function will setup 'element' for keyboard event monitoring, and return
+  // an object that can be used to register keys and the methods they should call
+  function makeHandler(element, id) {
+    var state, accessKeys, handler, target, tabIndex, attribute, onKeydown, onKeyup, onKeypress;
+    
+    if (typeof element === 'string') {
+      element = document.getElementById(element);
+    }
+    target = (element === document) ? document.body : element;
+    
+    state = {
+      element: element,
+      
+      // Will contain lists of bindings, keyed by key sequences (space separated
+      // 'keyspecs', which are arrays containing keycode and ctrl, shift, alt and
+      // meta boolean indicators). A binding contains the key function and the
+      // options it was registered with.
+      keys: {},
+      
+      // Will contain lists of the bindings of key sequences starting with a
+      // given partial key sequence
+      prefixes: {},
+      
+      // Will contain lists of bindings of characters, keyed by character
+      chars: {},
+      
+      // Set when a character mapping is used on keydown, to ignore the keypress
+      pressed: false,
+      
+      // The keyCode of the latest keydown, and the keys used by character
+      // mappings, keyed by keyCode, to ignore their keyup
+      latest: null,
+      typed: {},
+      
+      // The partial key sequence typed so far, if any, and its timeout
+      pending: null,
+      timer: null,
+      
+      // The keys held down, and the bindings to call onRelease for, keyed by keyCode
+      down: {},
+      held: {}
+    };
+    
+    // Will contain the accesskey divs created for IE, keyed by 'keyspecs'
+    accessKeys = {};
+    
+    // Setup the universal keyboard event handler function for this element
+    onKeydown = function (event) {
+      traced(state, event, cancel);
+    };
+    onKeyup = function (event) {
+      traced(state, event, monitor);
+    };
+    onKeypress = function (event) {
+      press(state, event);
+    };
+    lib.observe(element, 'keydown', onKeydown);
+    lib.observe(element, 'keyup', onKeyup);
+    lib.observe(element, 'keypress', onKeypress);
+    
+    // Remember the original tabIndex, so it can be restored by destroy()
+    attribute = target.getAttributeNode('tabIndex');
+    tabIndex = (attribute && attribute.specified) ? target.tabIndex : null;
+    
+    // Make element focusable
+    if (target.tabIndex === -1 || !target.tabIndex) {
+      if (target.nodeName === "INPUT") {
+        target.tabIndex = 0;
+      } else {
+        // This will remove tab-stop ability from non-input targets with tabindex="0",
+        // but IE returns 0 for elements without tabindex, so we have to do it!
+        target.tabIndex = -1;
+      }
+    }
+    
+    // This function reports conflicts between 'binding' and existing mappings,
+    // for one of the key sequences of the binding
+    function conflicts(sequence, binding) {
+      var name = sequence.join(' '), message = null, i;
+      
+      if (findOverlapping(state.keys[name], binding, true)) {
+        message = describe(sequence) + " already mapped with priority " + binding.priority + "!";
+      } else if (findOverlapping(state.prefixes[name], binding)) {
+        message = describe(sequence) + " is the beginning of an already mapped key sequence!";
+      } else {
+        for (i = 1; i < sequence.length; i += 1) {
+          if (findOverlapping(state.keys[sequence.slice(0, i).join(' ')], binding)) {
+            message = describe(sequence) + " can not be mapped, because " + describe(sequence.slice(0, i)) + " is already mapped!";
+            break;
+          }
+        }
+      }
+      
+      if (message) {
+        error(new DuplicateBindingError(message, { key: binding.key, element: element }));
+        return true;
+      }
+      return false;
+    }
+    
+    // This function stores 'binding' under one of its key sequences
+    function addBinding(sequence, binding) {
+      var i;
+      insertBinding(state.keys, sequence.join(' '), binding);
+      for (i = 1; i < sequence.length; i += 1) {
+        insertBinding(state.prefixes, sequence.slice(0, i).join(' '), binding);
+      }
+    }
+    
+    // This function removes 'binding' from under one of its key sequences
+    function deleteBinding(sequence, binding) {
+      var i;
+      removeBinding(state.keys, sequence.join(' '), binding);
+      for (i = 1; i < sequence.length; i += 1) {
+        removeBinding(state.prefixes, sequence.slice(0, i).join(' '), binding);
+      }
+    }
+    
+    // The keyboard handler instance object
+    handler = {
+      // 'key' is either a single key, or an array of keys to be pressed in sequence.
+      // Keys may be given as names, see Keyboard.parse().
+      // 'method' is the key function, or the name of a command, see Keyboard.command().
+      // 'settings' is either the override flag, or an object with these options:
+      //   override - map the key even if it's known to cause problems
+      //   scope    - name of the scope the mapping belongs to, see Keyboard.pushScope()
+      //   always   - use the mapping regardless of the active scope
+      //   allowInInputs - use the mapping even while the user is typing in a
+      //              form field or contentEditable region inside the element
+      //   altGraph - also use a Ctrl+Alt mapping for AltGr (which Windows reports
+      //              as Ctrl+Alt). By default Ctrl+Alt mappings ignore AltGr.
+      //   priority - order of mappings of the same key, highest first (default 0)
+      //   description, group, hidden - for the cheat sheet, see Keyboard.describe()
+      //   on       - call the key function on 'keyup' (default) or 'keydown'
+      //              (default for keys with Cmd, as Macs send no keyup for them)
+      //   repeat   - also call it on auto-repeated keydowns
+      //   onHold, onRelease - functions to call when the key is pressed and released
+      //              (onRelease only with onHold)
+      //   match    - match the key by 'keyCode' (default), 'code' or 'key'
+      //   selector - only use the mapping for elements inside the element that
+      //              match this CSS selector, see Keyboard.delegate()
+      // Returns true if the key was mapped.
+      register: function (key, method, settings) {
+        var keys, given, binding, i, div;
+        
+        keys = toKey(key);
+        if (keys === null) {
+          error(new KeyboardError("Unknown key " + key + ". This key mapping has been ignored.", { key: key, element: element }));
+          return false;
+        }
+        
+        given = toSettings(settings);
+        binding = extend({ override: false, scope: null, always: false, allowInInputs: false, altGraph: false, priority: 0, description: '', group: null, hidden: false, on: 'keyup', repeat: false, onHold: null, onRelease: null, match: options.match, selector: null }, given);
+        binding.key = key;
+        binding.method = method;
+        binding.element = element;
+        
+        if (binding.on !== 'keyup' && binding.on !== 'keydown') {
+          error(new KeyboardError("Unknown event " + binding.on + " for key " + key + ". This key mapping has been ignored.", { key: key, element: element }));
+          return false;
+        }
+        if (binding.match !== 'keyCode' && binding.match !== 'code' && binding.match !== 'key') {
+          error(new KeyboardError("Unknown match " + binding.match + " for key " + key + ". This key mapping has been ignored.", { key: key, element: element }));
+          return false;
+        }
+        if (binding.onRelease && !binding.onHold) {
+          error(new KeyboardError("onRelease without onHold for key " + key + ". This key mapping has been ignored.", { key: key, element: element }));
+          return false;
+        }
+        
+        // A binding is stored under its key sequence, and for the 'altGraph' option
+        // also under the key sequence with AltGr instead of Ctrl+Alt
+        binding.sequences = [makeSequence(keys)];
+        for (i = 0; i < binding.sequences[0].length; i += 1) {
+          // Only a single modifier can be mapped on its own, not a chord of
+          // modifiers like Ctrl+Shift (see makeIndex)
+          if (binding.sequences[0][i][0] === 0) {
+            error(new KeyboardError("Key " + key + " has no key but its modifiers. This key mapping has been ignored.", { key: key, element: element }));
+            return false;
+          }
+        }
+        
+        // Macs send no keyup for a key released while Cmd is held, so keys with
+        // Cmd (KEY.META, and KEY.MOD on Mac) are used on keydown by default
+        if (given.on === undefined && binding.sequences[0][binding.sequences[0].length - 1][4]) {
+          binding.on = 'keydown';
+        }
+        if (binding.altGraph && altGraphSequence(binding.sequences[0])) {
+          binding.sequences.push(altGraphSequence(binding.sequences[0]));
+        }
+        keys = [].concat(keys);
+        
         // Check for broken keys
-        override = override || false;
-        if (broken[key] && !override) {
-          alert(broken[key] + ".\nThis key mapping has been ignored.\nIf you really want to map this key, set the override parameter to true.");
+        for (i = 0; i < keys.length; i += 1) {
+          if (findBroken(keys[i]) && !binding.override) {
+            error(new BrokenKeyError(brokenMessage(broken[keys[i]]) + ". This key mapping has been ignored. If you really want to map this key, set the override parameter to true.", {
+              key: key,
+              element: element,
+              entry: brokenInfo(broken[keys[i]])
+            }));
+            return false;
+          }
+        }
+        
+        // Check for conflicts with existing mappings
+        for (i = 0; i < binding.sequences.length; i += 1) {
+          if (conflicts(binding.sequences[i], binding)) {
+            return false;
+          }
+        }
+        for (i = 0; i < keys.length; i += 1) {
+          if (findBroken(keys[i])) {
+            warning(brokenMessage(broken[keys[i]]) + ". This key has been mapped anyway, because the override parameter is set.");
+          }
+        }
+        
+        for (i = 0; i < binding.sequences.length; i += 1) {
+          addBinding(binding.sequences[i], binding);
+        }
+        
+        // Make Alt+<alfanumeric> work in IE
+        if (msie) {
+          for (i = 0; i < binding.sequences[0].length; i += 1) {
+            // 0-9 and A-Z
+            if (isAccessKey(binding.sequences[0][i][0], binding.sequences[0][i][3])) {
+              if (!accessKeys[binding.sequences[0][i]]) {
+                // We need an element with an accesskey to prevent default behaviour in IE
+                div = document.createElement('div');
+                div.id = '__altkeyhandler_' + binding.sequences[0][i][0];
+                div.accessKey = String.fromCharCode(binding.sequences[0][i][0]);
+                div.tabIndex = -1; // better make it focusable or accesskey will not work
+                lib.setStyle(div, { // better make it invisible (note: visibility=hidden will not work)
+                  position: 'absolute',
+                  width: 0,
+                  height: 0,
+                  margin: 0,
+                  padding: 0,
+                  border: 0
+                });
+                target.appendChild(div);
+                accessKeys[binding.sequences[0][i]] = { div: div, uses: 0 };
+              }
+              accessKeys[binding.sequences[0][i]].uses += 1;
+            }
+          }
+        }
+        return true;
+      },
+      
+      // Remove the mapping of 'key' in the given scope (or outside of any scope).
+      // If the key is mapped several times, give 'method' to tell which mapping.
+      unregister: function (key, scope, method) {
+        var binding, i, accessKey;
+        
+        key = toKey(key);
+        if (key === null) {
+          return;
+        }
+        binding = findBinding(state.keys[makeSequence(key).join(' ')], scope, method);
+        if (!binding) {
           return;
         }
         
-        // Handle Ctrl, Shift and Alt solitary mappings
-        if (keyCode === 0) {
-          switch (key) {
-          case KEY.CTRL:
-            index = [KEYCTRL, false, false, false];
-            break;
-          case KEY.SHIFT:
-            index = [KEYSHIFT, false, false, false];
-            break;
-          case KEY.ALT:
-            index = [KEYALT, false, false, false];
-            break;
+        for (i = 0; i < binding.sequences.length; i += 1) {
+          deleteBinding(binding.sequences[i], binding);
+        }
+        reset(state);
+        
+        // Remove the accesskey divs created for IE, when no longer used
+        for (i = 0; i < binding.sequences[0].length; i += 1) {
+          accessKey = accessKeys[binding.sequences[0][i]];
+          if (accessKey) {
+            accessKey.uses -= 1;
+            if (!accessKey.uses) {
+              accessKey.div.parentNode.removeChild(accessKey.div);
+              delete accessKeys[binding.sequences[0][i]];
+            }
           }
         }
+      },
+      
+      // Register a character, e.g. '?', rather than a key. The mapping is used
+      // whichever key (and modifiers) the character is typed with on the keyboard
+      // layout of the user. Ctrl and Meta combinations never type a character.
+      // 'settings' are as for register()
+      registerChar: function (character, method, settings) {
+        var binding = extend({ override: false, scope: null, always: false, allowInInputs: false, priority: 0, description: '', group: null, hidden: false }, toSettings(settings));
+        binding.character = character;
+        binding.method = method;
+        
+        if (findOverlapping(state.chars[character], binding, true)) {
+          error(new DuplicateBindingError("Character " + character + " already mapped with priority " + binding.priority + "!", { character: character, element: element }));
+          return;
+        }
+        insertBinding(state.chars, character, binding);
+      },
+      
+      // Remove the mapping of 'character', see unregister()
+      unregisterChar: function (character, scope, method) {
+        var binding = findBinding(state.chars[character], scope, method);
+        if (binding) {
+          removeBinding(state.chars, character, binding);
+        }
+      },
+      
+      // Remove all mappings and event listeners, and restore the element to
+      // its original state. The handler can not be used afterwards.
+      destroy: function () {
+        var index;
+        
+        lib.stopObserving(element, 'keydown', onKeydown);
+        lib.stopObserving(element, 'keyup', onKeyup);
+        lib.stopObserving(element, 'keypress', onKeypress);
+        reset(state);
+        
+        for (index in accessKeys) {
+          if (accessKeys.hasOwnProperty(index) && accessKeys[index].div.parentNode) {
+            accessKeys[index].div.parentNode.removeChild(accessKeys[index].div);
+          }
+        }
+        
+        if (tabIndex === null) {
+          target.removeAttribute('tabIndex');
+        } else {
+          target.tabIndex = tabIndex;
+        }
+        
+        state.keys = {};
+        state.chars = {};
+        state.down = {};
+        state.held = {};
+        state.typed = {};
+        state.prefixes = {};
+        accessKeys = {};
+        delete handlers[id];
+      },
+      
+      // Get a description of all mappings of the handler, see Keyboard.describe()
+      list: function () {
+        var name, i, result = [];
+        for (name in state.keys) {
+          if (state.keys.hasOwnProperty(name)) {
+            for (i = 0; i < state.keys[name].length; i += 1) {
+              // Bindings with the 'altGraph' option are stored twice
+              if (state.keys[name][i].sequences[0].join(' ') === name) {
+                result.push(bindingInfo(state.keys[name][i], element));
+              }
+            }
+          }
+        }
+        for (name in state.chars) {
+          if (state.chars.hasOwnProperty(name)) {
+            for (i = 0; i < state.chars[name].length; i += 1) {
+              result.push(bindingInfo(state.chars[name][i], element));
+            }
+          }
+        }
+        return result;
+      }
+    };
+    
+    // Return the handler instance
+    return handler;
+  }
+  
+  // Will contain all keyboard handler instances, keyed by element id
+  handlers = {};
+  
+  // This function creates the cheat sheet element, listing 'bindings' by group
+  function renderHelp(bindings) {
+    var element, table, body, row, cell, groups = [], rows = {}, group, i;
+    
+    function append(parent, tag, text) {
+      var child = document.createElement(tag);
+      if (text !== undefined) {
+        child.appendChild(document.createTextNode(text));
+      }
+      parent.appendChild(child);
+      return child;
+    }
+    
+    for (i = 0; i < bindings.length; i += 1) {
+      group = bindings[i].group || 'General';
+      if (!rows[group]) {
+        rows[group] = [];
+        groups.push(group);
+      }
+      rows[group].push(bindings[i]);
+    }
+    
+    element = document.createElement('div');
+    element.id = '__keyboardhelp';
+    element.className = 'keyboard-help';
+    lib.setStyle(element, {
+      position: 'fixed',
+      top: '10%',
+      left: '50%',
+      width: '30em',
+      marginLeft: '-15em',
+      maxHeight: '80%',
+      overflow: 'auto',
+      padding: '1em',
+      background: '#fff',
+      color: '#000',
+      border: '1px solid #888',
+      zIndex: 10000
+    });
+    append(element, 'h2', 'Keyboard shortcuts');
+    table = append(element, 'table');
+    for (i = 0; i < groups.length; i += 1) {
+      body = append(table, 'tbody');
+      cell = append(append(body, 'tr'), 'th', groups[i]);
+      cell.colSpan = 2;
+      lib.each(rows[groups[i]], function (binding) {
+        row = append(body, 'tr');
+        append(append(row, 'td'), 'kbd', binding.text);
+        append(row, 'td', binding.description);
+      });
+    }
+    return element;
+  }
+  
+  // This function returns the event.key of the key 'keyCode', if known
+  function keyName(keyCode, shiftKey) {
+    var name = layout.names[keyCode] || names[keyCode], code = layout.codes[keyCode] || KEY.CODE[keyCode];
+    
+    switch (keyCode) {
+    case KEY.SPACE:
+      return ' ';
+    case KEYSHIFT:
+      return 'Shift';
+    case KEYCTRL:
+      return 'Control';
+    case KEYALT:
+      return 'Alt';
+    case KEYMETA:
+      return 'Meta';
+    }
+    if (name && name.length === 1) {
+      return shiftKey ? name : name.toLowerCase();
+    }
+    // Named keys, e.g. "Escape" or "ArrowLeft", are named as their physical key
+    if (code && !/^(Key|Digit|Numpad)/.test(code)) {
+      return code;
+    }
+    return undefined;
+  }
+  
+  // This function returns a getModifierState() function for a synthetic event
+  function modifierState(modifiers) {
+    return function (name) {
+      return !!modifiers[name];
+    };
+  }
+  
+  // This function dispatches a synthetic keyboard event of 'type' on 'target',
+  // and returns false if its default action was prevented
+  function fireKey(target, type, properties) {
+    var event, name;
+    
+    if (document.createEvent) {
+      // KeyboardEvent properties are read-only, so use a plain event
+      event = document.createEvent('Events');
+      event.initEvent(type, true, true);
+    } else {
+      event = document.createEventObject(); // IE8 and older
+    }
+    for (name in properties) {
+      if (properties.hasOwnProperty(name)) {
+        event[name] = properties[name];
+      }
+    }
+    if (target.dispatchEvent) {
+      return target.dispatchEvent(event);
+    }
+    target.fireEvent('on' + type, event);
+    return event.returnValue !== false;
+  }
+  
+  // This function simulates typing 'key' on 'target', see Keyboard.simulate()
+  function simulate(target, key, settings) {
+    var keys, types, properties, keyCode, solitary, result = true, i, j;
+    
+    settings = settings || {};
+    types = settings.type ? [settings.type] : ['keydown', 'keypress', 'keyup'];
+    if (typeof target === 'string') {
+      target = document.getElementById(target);
+    }
+    if (target === document) {
+      target = document.body;
+    }
+    
+    keys = toKey(key);
+    if (keys === null && typeof key === 'string' && key.length === 1) {
+      // A character without a key of its own, e.g. "?"
+      for (i = 0; i < types.length; i += 1) {
+        result = fireKey(target, types[i], {
+          keyCode: 0,
+          which: types[i] === 'keypress' ? key.charCodeAt(0) : 0,
+          charCode: types[i] === 'keypress' ? key.charCodeAt(0) : 0,
+          key: key,
+          ctrlKey: false,
+          shiftKey: false,
+          altKey: false,
+          metaKey: false,
+          repeat: !!settings.repeat,
+          getModifierState: modifierState({})
+        }) && result;
+      }
+      return result;
+    }
+    if (keys === null) {
+      error(new KeyboardError("Unknown key " + key + ". Nothing has been simulated.", { key: key }));
+      return false;
+    }
+    
+    keys = [].concat(keys);
+    for (i = 0; i < keys.length; i += 1) {
+      // A solitary modifier is released with the modifier flag cleared
+      solitary = !(keys[i] & KEYMASK);
+      keyCode = solitary ? makeIndex(keys[i])[0] : keys[i] & KEYMASK;
+      for (j = 0; j < types.length; j += 1) {
+        properties = {
+          keyCode: keyCode,
+          which: keyCode,
+          charCode: 0,
+          key: keyName(keyCode, !!(keys[i] & KEY.SHIFT)),
+          code: layout.codes[keyCode] || KEY.CODE[keyCode],
+          ctrlKey: !!(keys[i] & (KEY.CTRL | KEY.ALTGR)),
+          shiftKey: !!(keys[i] & KEY.SHIFT),
+          altKey: !!(keys[i] & (KEY.ALT | KEY.ALTGR)),
+          metaKey: !!(keys[i] & KEY.META),
+          repeat: !!settings.repeat,
+          getModifierState: modifierState({
+            Control: !!(keys[i] & KEY.CTRL),
+            Shift: !!(keys[i] & KEY.SHIFT),
+            Alt: !!(keys[i] & KEY.ALT),
+            Meta: !!(keys[i] & KEY.META),
+            AltGraph: !!(keys[i] & KEY.ALTGR)
+          })
+        };
+        if (types[j] === 'keyup' && solitary) {
+          properties.ctrlKey = properties.shiftKey = properties.altKey = properties.metaKey = false;
+        }
+        if (types[j] !== 'keypress') {
+          result = fireKey(target, types[j], properties) && result;
+        } else if (properties.key && properties.key.length === 1 && !(properties.ctrlKey && !(keys[i] & KEY.ALTGR)) && !properties.metaKey) {
+          // Only keys typing a character cause a keypress
+          properties.keyCode = properties.which = properties.charCode = properties.key.charCodeAt(0);
+          result = fireKey(target, types[j], properties) && result;
+        }
+      }
+    }
+    return result;
+  }
+  
+  // The active key recorder, if any, see Keyboard.record()
+  recording = null;
+  
+  // This function records the next key combination pressed on 'element', and
+  // calls 'callback' with it, see Keyboard.record(). Returns the recorder.
+  function record(element, callback) {
+    var recorder, modifiers = false, done = false, onKeydown, onKeyup, onKeypress;
+    
+    if (recording) {
+      recording.stop();
+    }
+    if (typeof element === 'string') {
+      element = document.getElementById(element);
+    }
+    
+    function finish(key, event) {
+      var entry = findBroken(key);
+      done = true;
+      callback({
+        key: key,
+        text: format(key),
+        broken: entry ? brokenMessage(entry) : null,
+        event: event
+      });
+    }
+    
+    onKeydown = function (event) {
+      var index;
+      
+      trackAltGraph(event);
+      lib.stopEvent(event);
+      index = eventIndex(event);
+      if (done) {
+        return;
+      }
+      if (index[0] === KEYCTRL || index[0] === KEYSHIFT || index[0] === KEYALT || index[0] === KEYMETA) {
+        // Modifiers only count on their own, if no other key is pressed with them
+        modifiers = true;
+      } else {
+        finish(indexKey(index), event);
+      }
+    };
+    
+    onKeyup = function (event) {
+      var index;
+      
+      trackAltGraph(event);
+      lib.stopEvent(event);
+      index = eventIndex(event);
+      
+      // Only a single modifier can be mapped on its own, and it's used when it's
+      // released last, so a chord of modifiers (e.g. Ctrl+Shift, or AltGr, which
+      // is Ctrl+Alt) is recorded as the modifier released last
+      if (!done && modifiers && !index[1] && !index[2] && !index[3] && !index[4] && !index[5]) {
+        finish(indexKey(index), event);
+      }
+      
+      // The keyup of the recorded key is swallowed as well, so it doesn't reach
+      // the key mappings
+      if (done) {
+        recorder.stop();
+      }
+    };
+    
+    onKeypress = function (event) {
+      lib.stopEvent(event);
+    };
+    
+    recorder = {
+      element: element,
+      
+      // Stop recording, without calling the callback if nothing is recorded yet
+      stop: function () {
+        lib.stopObserving(element, 'keydown', onKeydown);
+        lib.stopObserving(element, 'keyup', onKeyup);
+        lib.stopObserving(element, 'keypress', onKeypress);
+        if (recording === recorder) {
+          recording = null;
+        }
+      }
+    };
+    
+    lib.observe(element, 'keydown', onKeydown);
+    lib.observe(element, 'keyup', onKeyup);
+    lib.observe(element, 'keypress', onKeypress);
+    recording = recorder;
+    return recorder;
+  }
+  
+  // This function returns the elements inside 'container' matching 'selector',
+  // in document order
+  function navigableItems(container, selector) {
+    var all = container.getElementsByTagName('*'), result = [], i;
+    for (i = 0; i < all.length; i += 1) {
+      if (lib.matches(all[i], selector)) {
+        result.push(all[i]);
+      }
+    }
+    return result;
+  }
+  
+  // This function makes the items of 'container' navigable with the keyboard,
+  // see Keyboard.navigable(). Returns the navigator.
+  function navigable(container, settings) {
+    var handler, mapped = [], columns, navigator, list, index, i;
+    
+    if (typeof container === 'string') {
+      container = document.getElementById(container);
+    }
+    settings = extend({
+      items: '[role=menuitem], [role=menuitemcheckbox], [role=menuitemradio], [role=option], [role=tab], [role=treeitem], [role=gridcell], li',
+      orientation: 'vertical',
+      wrap: false,
+      grid: 0,
+      pageSize: 10,
+      onActivate: null,
+      scope: null
+    }, settings || {});
+    columns = settings.grid;
+    handler = factory.handlerFor(container);
+    
+    function items() {
+      return navigableItems(container, settings.items);
+    }
+    
+    // This function returns the index of the item with the focus, or else the
+    // one in the tab order, or -1
+    function current(list, event) {
+      var element = event ? lib.eventTarget(event) : null, i;
+      while (element && element !== container) {
+        for (i = 0; i < list.length; i += 1) {
+          if (list[i] === element) {
+            return i;
+          }
+        }
+        element = element.parentNode;
+      }
+      for (i = 0; i < list.length; i += 1) {
+        if (list[i].tabIndex === 0) {
+          return i;
+        }
+      }
+      return -1;
+    }
+    
+    // Only the current item is in the tab order (the roving tabindex)
+    function rove(list, index, focus) {
+      var i;
+      for (i = 0; i < list.length; i += 1) {
+        list[i].tabIndex = (i === index) ? 0 : -1;
+      }
+      if (focus && list[index]) {
+        list[index].focus();
+      }
+    }
+    
+    // This function returns a key function moving the focus to the item found
+    // by 'target' from the index of the current item. The 'wrap' option only
+    // applies to moves given 'mayWrap'.
+    function mover(target, mayWrap) {
+      return function (event) {
+        var list = items(), index, to;
         
-        if (keys[index]) {
-          alert("Key " + index[0] + " (ctrl=" + index[1] + ", shift=" + index[2] + ", alt=" + index[3] + ") already mapped!");
+        if (!list.length) {
+          return false;
+        }
+        index = current(list, event);
+        if (index < 0) {
+          // The first key only moves the focus into the container
+          rove(list, 0, true);
           return;
-        } else {
-          keys[index] = method;
-          
-          // Special care for the 'umlaut' key which has different key codes in IE/Safari and Gecko
-          if (index[0] === KEY.UMLAUT) {
-            keys[[KEY.UMLAUT_2, index[1], index[2], index[3]]] = method;
-          }
-          
-          // Make Alt+<alfanumeric> work in IE
-          if (lib.msie) {
-            target = (element === document) ? document.body : element;
-            
-            // 0-9 and A-Z
-            if (isAccessKey(index[0], index[3])) {
-              // We need an element with an accesskey to prevent default behaviour in IE
-              div = document.createElement('div');
-              div.id = '__altkeyhandler_' + index[0];
-              div.accessKey = String.fromCharCode(index[0]);
-              div.tabIndex = -1; // better make it focusable or accesskey will not work
-              lib.setStyle(div, { // better make it invisible (note: visibility=hidden will not work)
-                position: 'absolute',
-                width: 0,
-                height: 0,
-                margin: 0,
-                padding: 0,
-                border: 0
-              });
-              target.appendChild(div);
-            }
+        }
+        to = target(index, list.length);
+        if (to < 0 || to >= list.length) {
+          to = (settings.wrap && mayWrap) ? (to + list.length) % list.length : Math.max(0, Math.min(list.length - 1, to));
+        }
+        rove(list, to, true);
+      };
+    }
+    
+    function by(offset, mayWrap) {
+      return mover(function (index) {
+        return index + offset;
+      }, mayWrap);
+    }
+    
+    function jump(position) {
+      return mover(function (index, length) {
+        return (position < 0) ? length + position : position;
+      });
+    }
+    
+    // Type-ahead: move to the next item beginning with the typed letter or digit
+    function typeAhead(character) {
+      return function (event) {
+        var list = items(), index = current(list, event), text, i, j;
+        for (i = 1; i <= list.length; i += 1) {
+          j = (index + i) % list.length;
+          text = list[j].textContent || list[j].innerText || '';
+          if (text.replace(/^\s+/, '').charAt(0).toUpperCase() === character) {
+            rove(list, j, true);
+            return;
+          }
+        }
+        return false;
+      };
+    }
+    
+    function activate(event) {
+      var list = items(), index = current(list, event);
+      if (index < 0) {
+        return false;
+      }
+      return invoke(settings.onActivate, event, undefined, list[index]);
+    }
+    
+    // Moves are made on keydown, and repeated while the key is held down
+    function map(key, method, options) {
+      if (handler.register(key, method, extend({ scope: settings.scope, on: 'keydown', repeat: true }, options))) {
+        mapped.push([key, method]);
+      }
+    }
+    
+    if (columns) {
+      map(KEY.LEFT, by(-1, true));
+      map(KEY.RIGHT, by(1, true));
+      map(KEY.UP, by(-columns, true));
+      map(KEY.DOWN, by(columns, true));
+      map(KEY.HOME, mover(function (index) {
+        return index - index % columns;
+      }));
+      map(KEY.END, mover(function (index, length) {
+        return Math.min(index - index % columns + columns - 1, length - 1);
+      }));
+      map(KEY.CTRL + KEY.HOME, jump(0));
+      map(KEY.CTRL + KEY.END, jump(-1));
+      map(KEY.PAGEUP, by(-columns * settings.pageSize));
+      map(KEY.PAGEDOWN, by(columns * settings.pageSize));
+    } else {
+      if (settings.orientation !== 'horizontal') {
+        map(KEY.UP, by(-1, true));
+        map(KEY.DOWN, by(1, true));
+      }
+      if (settings.orientation !== 'vertical') {
+        map(KEY.LEFT, by(-1, true));
+        map(KEY.RIGHT, by(1, true));
+      }
+      map(KEY.HOME, jump(0));
+      map(KEY.END, jump(-1));
+      map(KEY.PAGEUP, by(-settings.pageSize));
+      map(KEY.PAGEDOWN, by(settings.pageSize));
+    }
+    for (i = KEY.ZERO; i <= KEY.Z; i += 1) {
+      if (i <= KEY.NINE || i >= KEY.A) {
+        // Below other mappings of the letters and digits on the container
+        map(i, typeAhead(String.fromCharCode(i)), { on: 'keyup', repeat: false, priority: -1 });
+      }
+    }
+    if (settings.onActivate) {
+      map(KEY.ENTER, activate, { on: 'keyup', repeat: false });
+      map(KEY.SPACE, activate, { on: 'keyup', repeat: false });
+    }
+    
+    navigator = {
+      element: container,
+      
+      // Get the items, in document order
+      items: items,
+      
+      // Move the focus to 'item', an item or its index
+      focus: function (item) {
+        var all = items(), j;
+        for (j = 0; j < all.length; j += 1) {
+          if (all[j] === item || j === item) {
+            rove(all, j, true);
           }
         }
       },
       
-      list: function () {
-        console.log(keys);
+      // Take items added since into the roving tabindex
+      refresh: function () {
+        var all = items();
+        rove(all, Math.max(current(all), 0));
+      },
+      
+      // Remove the key mappings again
+      destroy: function () {
+        var j;
+        for (j = 0; j < mapped.length; j += 1) {
+          handler.unregister(mapped[j][0], settings.scope, mapped[j][1]);
+        }
+        mapped = [];
       }
     };
     
-    // Return the handler instance
-    return handler;
+    // Start at the selected item, if any
+    list = items();
+    index = current(list);
+    for (i = 0; i < list.length; i += 1) {
+      if (list[i].getAttribute('aria-selected') === 'true') {
+        index = i;
+      }
+    }
+    rove(list, Math.max(index, 0));
+    return navigator;
   }
   
-  // Will contain all keyboard handler instances, keyed by element id
-  handlers = {};
+  // This function tells if 'element' is 'ancestor' or inside it
+  function isInside(element, ancestor) {
+    while (element && element !== ancestor) {
+      element = element.parentNode;
+    }
+    return !!element;
+  }
+  
+  // This function finds the mappings of all handlers that get in each other's
+  // way, see Keyboard.analyze()
+  function analyze() {
+    var report = { shadowed: [], duplicated: [], overriddenBroken: [] }, mappings = {}, id, name, i, j, inner, outer;
+    
+    function add(info) {
+      var keys, entry, sequence, k;
+      
+      if (info.character) {
+        sequence = 'char ' + info.character;
+      } else {
+        keys = toKey(info.key);
+        sequence = makeSequence(keys).join(' ');
+        keys = [].concat(keys);
+        for (k = 0; k < keys.length; k += 1) {
+          entry = findBroken(keys[k]);
+          if (entry && info.override) {
+            report.overriddenBroken.push({ text: info.text, binding: info, entry: brokenInfo(entry) });
+          }
+        }
+      }
+      if (!mappings[sequence]) {
+        mappings[sequence] = [];
+      }
+      mappings[sequence].push(info);
+    }
+    
+    // Collect the mappings of all handlers by key sequence (or character)
+    for (id in handlers) {
+      if (handlers.hasOwnProperty(id)) {
+        lib.each(handlers[id].list(), add);
+      }
+    }
+    
+    // Events reach the handlers of inner elements first, so their mappings are
+    // used before those of the same key, in the same scope, on elements around them
+    for (name in mappings) {
+      if (mappings.hasOwnProperty(name)) {
+        for (i = 0; i < mappings[name].length; i += 1) {
+          for (j = 0; j < mappings[name].length; j += 1) {
+            inner = mappings[name][i];
+            outer = mappings[name][j];
+            if (inner.element !== outer.element && inner.scope === outer.scope && inner.selector === outer.selector && isInside(inner.element, outer.element)) {
+              (outer.element === document ? report.shadowed : report.duplicated).push({ text: inner.text, binding: inner, shadows: outer });
+            }
+          }
+        }
+      }
+    }
+    return report;
+  }
+  
+  // This function returns the key used for 'element' in the handlers list
+  function identify(element) {
+    return (element !== document) ? lib.identify(element) : element; //maybe use nodename?
+  }
+  
+  // Will contain the named actions of the keymap, keyed by name, see Keyboard.action()
+  actions = {};
+  
+  // The storage of the user's keymap, if any, and the keys found in it
+  keymapStorage = null;
+  storedKeymap = {};
+  
+  // This function returns the name of 'key' (e.g. "Ctrl+S"), as used in keymaps,
+  // or null for no key
+  function keymapName(key) {
+    var keys = (key === null || key === undefined) ? null : toKey(key);
+    return (keys === null) ? null : format(keys);
+  }
+  
+  // This function maps 'action' to 'key' instead of its current key. 'key' may
+  // be null, to unmap the action. Returns true if the key was mapped.
+  function mapAction(action, key) {
+    var handler = factory.handlerFor(action.element);
+    
+    if (action.key !== null) {
+      handler.unregister(action.key, action.settings.scope, action.method);
+      action.key = null;
+    }
+    if (key === null || key === undefined) {
+      return true;
+    }
+    if (handler.register(key, action.method, action.settings)) {
+      action.key = key;
+      return true;
+    }
+    return false;
+  }
+  
+  // This function checks a keymap ({ action name: key }) before importing it.
+  // The keys must be known and mappable, and no two actions may get the same key.
+  // Returns a list of errors.
+  function checkKeymap(keymap) {
+    var errors = [], used = {}, name, keys, other;
+    
+    // This function returns the name of another action using 'keys', if any
+    function isUsed(name, keys) {
+      var id = identify(actions[name].element) + ' ' + makeSequence(keys).join(' '), other = used[id];
+      used[id] = name;
+      return (other && overlaps(actions[other].settings, actions[name].settings)) ? other : null;
+    }
+    
+    for (name in actions) {
+      if (actions.hasOwnProperty(name) && !keymap.hasOwnProperty(name) && actions[name].key !== null) {
+        isUsed(name, toKey(actions[name].key));
+      }
+    }
+    for (name in keymap) {
+      if (keymap.hasOwnProperty(name)) {
+        if (!actions.hasOwnProperty(name)) {
+          errors.push(new KeyboardError("Unknown action " + name + " in keymap!", { action: name }));
+        } else if (keymap[name] !== null) {
+          keys = toKey(keymap[name]);
+          other = (keys !== null) && isUsed(name, keys);
+          if (keys === null) {
+            errors.push(new KeyboardError("Unknown key " + keymap[name] + " for action " + name + "!", { action: name, key: keymap[name] }));
+          } else if (factory.isBroken(keys) && !actions[name].settings.override) {
+            errors.push(new BrokenKeyError(format(keys) + " can not be used for action " + name + ", because it's unmappable!", { action: name, key: keymap[name] }));
+          } else if (other) {
+            errors.push(new DuplicateBindingError(format(keys) + " can not be used for both action " + other + " and " + name + "!", { action: name, key: keymap[name] }));
+          }
+        }
+      }
+    }
+    return errors;
+  }
+  
+  // This function maps the actions of a keymap ({ action name: key }) to their
+  // new keys, after checking the keymap. Returns true if all keys were mapped.
+  function applyKeymap(keymap) {
+    var errors = checkKeymap(keymap), previous = {}, result = true, thrown = null, name, i;
+    
+    // In strict mode, mapping a key used by a mapping outside of the keymap
+    // throws. The error is rethrown when all the actions are mapped again.
+    function map(action, key) {
+      try {
+        return mapAction(action, key);
+      } catch (e) {
+        thrown = thrown || e;
+        return false;
+      }
+    }
+    
+    if (errors.length) {
+      for (i = 0; i < errors.length; i += 1) {
+        error(errors[i]);
+      }
+      return false;
+    }
+    
+    // Unmap all the actions first, so actions can swap keys
+    for (name in keymap) {
+      if (keymap.hasOwnProperty(name)) {
+        previous[name] = actions[name].key;
+        mapAction(actions[name], null);
+      }
+    }
+    for (name in keymap) {
+      if (keymap.hasOwnProperty(name) && !map(actions[name], keymap[name])) {
+        // The key is used by a mapping outside of the keymap
+        map(actions[name], previous[name]);
+        result = false;
+      }
+    }
+    saveKeymap();
+    if (thrown) {
+      throw thrown;
+    }
+    return result;
+  }
+  
+  // This function saves the keys of the actions, that differ from their default
+  // keys, in the keymap storage
+  function saveKeymap() {
+    var keymap = {}, name;
+    
+    if (!keymapStorage) {
+      return;
+    }
+    for (name in actions) {
+      if (actions.hasOwnProperty(name) && keymapName(actions[name].key) !== keymapName(actions[name].defaultKey)) {
+        keymap[name] = keymapName(actions[name].key);
+      }
+    }
+    try {
+      keymapStorage.save(keymap);
+    } catch (e) {
+      warning("The keymap could not be saved: " + e.message);
+    }
+  }
+  
+  // This function returns a keymap storage, saving the keymap in localStorage as 'name'
+  function localStorageKeymap(name) {
+    return {
+      load: function () {
+        var text = window.localStorage.getItem(name);
+        return text ? JSON.parse(text) : null;
+      },
+      save: function (keymap) {
+        window.localStorage.setItem(name, JSON.stringify(keymap));
+      }
+    };
+  }
   
   // The factory for retrieving keyboard handler instances
   factory = {
     handlerFor: function (element) {
-      var id;
-      id = (element !== document) ? lib.identify(element) : element; //maybe use nodename?
+      var id = identify(element);
       if (!handlers[id]) {
-        handlers[id] = makeHandler(element);
+        handlers[id] = makeHandler(element, id);
       }
       return handlers[id];
     },
     
-    register: function (element, key, method, override) {
+    register: function (element, key, method, settings) {
       if (!!(document && document.body)) {
         // Register key immediately
         var handler = this.handlerFor(element);
-        handler.register(key, method, override);
+        return handler.register(key, method, settings);
       } else {
         // Defer key registration until dom is loaded
-        document.observe("dom:loaded", function () {
-          Keyboard.register(element, key, method, override);
+        lib.onDomLoaded(function () {
+          factory.register(element, key, method, settings);
         });
       }
     },
     
-    registerGlobal: function (key, method, override) {
-      this.register(document, key, method, override);
-    }
+    registerGlobal: function (key, method, settings) {
+      this.register(document, key, method, settings);
+    },
+    
+    unregister: function (element, key, scope, method) {
+      var handler = handlers[identify(element)];
+      if (handler) {
+        handler.unregister(key, scope, method);
+      }
+    },
+    
+    unregisterGlobal: function (key, scope, method) {
+      this.unregister(document, key, scope, method);
+    },
+    
+    // Let the user move the focus between the items of 'container' (an element or
+    // its id) with the keyboard, as described by WAI-ARIA for menus, lists and
+    // grids: only one item at a time is in the tab order (a roving tabindex),
+    // the arrow keys move to the previous or next item, Home/End and PgUp/PgDn
+    // to the first/last item and a page further (on keydown, repeated while the
+    // key is held down), and a letter or digit to the next item beginning with
+    // it (with priority -1, so other mappings of the key on the container are
+    // used first). 'settings' may contain:
+    //   items       - CSS selector of the items (default menu items, options,
+    //                 tabs, tree items, grid cells and list items)
+    //   orientation - 'vertical' (default, Up/Down), 'horizontal' (Left/Right)
+    //                 or 'both'
+    //   wrap        - move from the last item to the first and back (default false)
+    //   grid        - number of columns of a grid. Up/Down move a row, Home/End to
+    //                 the start/end of the row and Ctrl+Home/End to the first/last
+    //                 item.
+    //   pageSize    - number of items (rows in a grid) to move with PgUp/PgDn
+    //                 (default 10)
+    //   onActivate  - key function for Enter and Space, called in the context of
+    //                 the current item
+    //   scope       - scope of the key mappings, see pushScope()
+    // Returns an object with the functions items(), focus(item), refresh(), to
+    // take items added later into the tab order, and destroy().
+    navigable: function (container, settings) {
+      return navigable(container, settings);
+    },
+    
+    // Map 'key' for all elements inside 'container' (an element, its id or the
+    // document) matching the CSS 'selector', now and later, with one handler on
+    // the container. The key function is called in the context of the matching
+    // element. 'settings' are as for register(). Remove the mapping again with
+    // unregister(container, key, scope, method).
+    delegate: function (container, selector, key, method, settings) {
+      return this.register(container, key, method, extend(extend({}, toSettings(settings)), { selector: selector }));
+    },
+    
+    // Register a character (e.g. '?') on the document, see handler.registerChar()
+    registerChar: function (character, method, settings) {
+      if (!!(document && document.body)) {
+        this.handlerFor(document).registerChar(character, method, settings);
+      } else {
+        // Defer registration until dom is loaded
+        lib.onDomLoaded(function () {
+          factory.registerChar(character, method, settings);
+        });
+      }
+    },
+    
+    unregisterChar: function (character, scope, method) {
+      var handler = handlers[identify(document)];
+      if (handler) {
+        handler.unregisterChar(character, scope, method);
+      }
+    },
+    
+    // Convert a key name such as "Ctrl+Shift+F" into a key, see parse() above
+    parse: function (text) {
+      return parse(text);
+    },
+    
+    // Convert a key into a key name such as "Ctrl+Shift+F", see format() above
+    format: function (key) {
+      return format(key);
+    },
+    
+    // Add a keyboard layout, see the list of known layouts above
+    defineLayout: function (name, table) {
+      defineLayout(name, table);
+    },
+    
+    // Select a keyboard layout - 'DK' (the default), 'NO', 'SE', 'DE', 'US' or
+    // one added with defineLayout()
+    useLayout: function (name) {
+      useLayout(name);
+    },
+    
+    destroy: function (element) {
+      var handler = handlers[identify(element)];
+      if (handler) {
+        handler.destroy();
+      }
+    },
+    
+    // Tell if 'key' (or any key of a key sequence) is known to be unmappable in
+    // 'environment', an object with (some of) the properties os, browser, version
+    // and layout, as returned by detectEnvironment() above. Missing properties
+    // match any, e.g. { os: 'Win' } for any browser on Windows. By default the
+    // configured or detected environment is used.
+    isBroken: function (key, environment) {
+      var keys = toKey(key), i;
+      if (keys === null) {
+        return false;
+      }
+      keys = [].concat(keys);
+      for (i = 0; i < keys.length; i += 1) {
+        if (findBroken(keys[i], environment)) {
+          return true;
+        }
+      }
+      return false;
+    },
+    
+    // Get the list of keys known to be unmappable in 'environment' (see isBroken()),
+    // each described by an object with the properties key, text (e.g. "Ctrl+F"),
+    // environments, does and message
+    brokenKeys: function (environment) {
+      var key, result = [];
+      for (key in broken) {
+        if (broken.hasOwnProperty(key) && findBroken(broken[key].key, environment)) {
+          result.push(brokenInfo(broken[key]));
+        }
+      }
+      return result;
+    },
+    
+    // Get the detected environment of the page, see isBroken()
+    environment: function () {
+      return detectEnvironment();
+    },
+    
+    // Simulate typing 'key' (a key, key name or key sequence, or a character
+    // such as "?") on 'target' (an element, its id or the document), using
+    // synthetic keyboard events. Modifiers are not pressed on their own, only
+    // set on the events of the key. 'settings' may contain:
+    //   type   - only fire this event, 'keydown', 'keypress' or 'keyup'
+    //   repeat - mark the events as auto-repeated
+    // Returns false if the default action of any of the events was prevented.
+    simulate: function (target, key, settings) {
+      return simulate(target, key, settings);
+    },
+    
+    // Record the next key combination the user presses on 'element' (an element,
+    // its id or the document), e.g. for a dialog to change a shortcut. The key
+    // mappings are suspended while recording, and the default action of the keys
+    // is cancelled. When a key is pressed, or modifiers are pressed and released
+    // on their own (recorded as the one released last), 'callback' is called with an object with the properties key
+    // (e.g. KEY.CTRL + KEY.S), text (e.g. "Ctrl+S"), broken (the reason the key
+    // can't be mapped in this environment, or null) and event. Returns an object
+    // with a stop() function, to stop recording before a key is pressed.
+    record: function (element, callback) {
+      if (typeof element === 'function') {
+        callback = element;
+        element = document;
+      }
+      return record(element, callback);
+    },
+    
+    // Find the mappings of different handlers that get in each other's way, e.g.
+    // to check them in tests. Returns an object with the lists:
+    //   shadowed         - element mappings of keys also mapped globally
+    //   duplicated       - mappings of keys also mapped on an enclosing element
+    //   overriddenBroken - mappings of keys known to be unmappable here, mapped
+    //                      anyway with the 'override' option
+    // The entries of shadowed and duplicated have the properties text, binding
+    // (the mapping used first) and shadows (the mapping it gets in the way of),
+    // and those of overriddenBroken text, binding and entry (see brokenKeys()).
+    // Mappings are described as by describe(). Mappings in different scopes, or
+    // for elements matching different selectors, don't get in each other's way.
+    analyze: function () {
+      return analyze();
+    },
+    
+    // Get a list of the active mappings of all handlers, each described by an
+    // object with the properties key, text (e.g. "Ctrl+S"), description, group,
+    // hidden, scope, priority, selector, character (for registerChar()), override,
+    // active and element. Mappings registered with the 'hidden' option are left
+    // out, unless 'includeHidden' is true.
+    describe: function (includeHidden) {
+      var id, result = [];
+      for (id in handlers) {
+        if (handlers.hasOwnProperty(id)) {
+          lib.each(handlers[id].list(), function (info) {
+            if (info.active && (includeHidden || !info.hidden)) {
+              result.push(info);
+            }
+          });
+        }
+      }
+      return result;
+    },
+    
+    // Show a cheat sheet of the active mappings. While it's shown, only Esc (to
+    // hide it again) and keys registered with the 'always' option are used.
+    showHelp: function () {
+      if (help) {
+        return;
+      }
+      help = renderHelp(this.describe());
+      lib.observe(help, 'click', function () {
+        factory.hideHelp();
+      });
+      document.body.appendChild(help);
+      scopes.push('keyboardHelp');
+    },
+    
+    hideHelp: function () {
+      if (help) {
+        help.parentNode.removeChild(help);
+        help = null;
+        this.popScope('keyboardHelp');
+      }
+    },
+    
+    // Toggle the cheat sheet with 'character' (default "?"). 'settings' are as
+    // for registerChar(), e.g. to give it another description.
+    enableHelp: function (character, settings) {
+      this.registerChar(character || '?', function () {
+        if (help) {
+          factory.hideHelp();
+        } else {
+          factory.showHelp();
+        }
+      }, extend({ description: 'Show keyboard shortcuts', always: true }, toSettings(settings)));
+      this.scope('keyboardHelp').register(KEY.ESC, function () {
+        factory.hideHelp();
+      }, { hidden: true });
+    },
+    
+    // Change global settings. Supported settings are:
+    //   sequenceTimeout - milliseconds to wait for the next key of a key sequence
+    //   onError         - function called with an error object (a KeyboardError,
+    //                     BrokenKeyError or DuplicateBindingError) when a key
+    //                     mapping is ignored. Logs to the console by default.
+    //   onWarning       - function called with a message when a key known to
+    //                     cause problems is mapped anyway. Logs to the console by default.
+    //   strict          - throw errors instead of calling onError
+    //   ignoreEditable  - function called with the event target and the event, telling
+    //                     if the user is typing in it (and keys should be ignored).
+    //                     By default form fields and contentEditable regions are
+    //                     ignored. Set to false to never ignore keys.
+    configure: function (settings) {
+      var name;
+      for (name in settings) {
+        if (settings.hasOwnProperty(name) && options.hasOwnProperty(name)) {
+          options[name] = settings[name];
+        }
+      }
+    },
+    
+    // Get an object for registering keys in a named scope. Keys registered in
+    // a scope are only used while that scope is active, see pushScope().
+    scope: function (name) {
+      var self = this;
+      return {
+        register: function (key, method, settings) {
+          self.registerGlobal(key, method, extend(extend({}, toSettings(settings)), { scope: name }));
+        },
+        
+        unregister: function (key, method) {
+          self.unregisterGlobal(key, name, method);
+        }
+      };
+    },
+    
+    // Activate a named scope. Until it's popped again, only keys registered in
+    // that scope (and keys registered with the 'always' option) are used.
+    pushScope: function (name) {
+      scopes.push(name);
+    },
+    
+    // Deactivate the active scope (or, if given, the named scope and any scopes
+    // pushed after it), and return the name of the scope
+    popScope: function (name) {
+      var i;
+      if (name !== undefined) {
+        for (i = scopes.length - 1; i >= 0; i -= 1) {
+          if (scopes[i] === name) {
+            scopes.length = i;
+            return name;
+          }
+        }
+        return null;
+      }
+      return scopes.length ? scopes.pop() : null;
+    },
+    
+    // Get the name of the active scope, or null when no scope is active
+    activeScope: function () {
+      return scopes.length ? scopes[scopes.length - 1] : null;
+    },
+    
+    // Set the event layer to use: 'dom', 'jquery', 'prototype' or an object with
+    // (some of) the functions stopEvent, preventDefault, onDomLoaded, eventTarget,
+    // observe, stopObserving, each, setStyle and identify. Missing functions are
+    // taken from the plain DOM adapter. Prototype or jQuery is used by default,
+    // when loaded before this file. Set the adapter before registering any keys.
+    setAdapter: function (adapter) {
+      setAdapter(adapter);
+    },
+    
+    // Define the action 'name', e.g. "save", mapped to 'key' (or null) unless the
+    // user has mapped it to another key, see persistKeymap(). 'settings' are as
+    // for register(), and may also contain the element to register the key on
+    // (by default the document). The description defaults to the name.
+    // Returns true if the action got a key.
+    action: function (name, key, method, settings) {
+      var action;
+      
+      if (!(document && document.body)) {
+        // Defer until dom is loaded
+        lib.onDomLoaded(function () {
+          factory.action(name, key, method, settings);
+        });
+        return false;
+      }
+      if (actions.hasOwnProperty(name)) {
+        error(new KeyboardError("Action " + name + " already defined!", { action: name }));
+        return false;
+      }
+      
+      action = {
+        name: name,
+        method: method,
+        settings: extend({ scope: null, always: false, description: name }, toSettings(settings)),
+        element: document,
+        key: null,
+        defaultKey: (key === undefined) ? null : key
+      };
+      if (action.settings.element) {
+        action.element = action.settings.element;
+        delete action.settings.element;
+      }
+      actions[name] = action;
+      
+      if (storedKeymap.hasOwnProperty(name) && mapAction(action, storedKeymap[name])) {
+        return true;
+      }
+      return mapAction(action, action.defaultKey);
+    },
+    
+    // Map the action 'name' to 'key' (or null for no key) instead of its current
+    // key. Returns true if the key was mapped.
+    remap: function (name, key) {
+      var keymap = {};
+      keymap[name] = key;
+      return applyKeymap(keymap);
+    },
+    
+    // Get the keys of all actions as JSON, e.g. '{"save":"Ctrl+S","print":null}'
+    exportKeymap: function () {
+      var keymap = {}, name;
+      for (name in actions) {
+        if (actions.hasOwnProperty(name)) {
+          keymap[name] = keymapName(actions[name].key);
+        }
+      }
+      return JSON.stringify(keymap);
+    },
+    
+    // Map actions to the keys of 'json', a keymap as returned by exportKeymap()
+    // (or the object it represents). Actions not in the keymap keep their keys.
+    // Nothing is mapped if the keymap has unknown actions or keys, unmappable
+    // keys or keys used by more than one action. Returns true if all keys were mapped.
+    importKeymap: function (json) {
+      var keymap;
+      try {
+        keymap = (typeof json === 'string') ? JSON.parse(json) : json;
+      } catch (e) {
+        error(new KeyboardError("Invalid keymap: " + e.message, { keymap: json }));
+        return false;
+      }
+      if (!keymap || typeof keymap !== 'object') {
+        error(new KeyboardError("Invalid keymap: " + json, { keymap: json }));
+        return false;
+      }
+      return applyKeymap(keymap);
+    },
+    
+    // Map the action 'name', or all actions, to the default keys again
+    resetKeymap: function (name) {
+      var keymap = {}, each;
+      for (each in actions) {
+        if (actions.hasOwnProperty(each) && (name === undefined || each === name)) {
+          keymap[each] = actions[each].defaultKey;
+        }
+      }
+      return applyKeymap(keymap);
+    },
+    
+    // Save the user's keymap (the keys of actions that differ from the default
+    // keys) in 'storage', and map the actions to the keys saved there before.
+    // 'storage' is either a localStorage name, or an object with the functions
+    // load(), returning the saved keymap object (or null), and save(keymap).
+    persistKeymap: function (storage) {
+      var keymap = {}, name;
+      
+      keymapStorage = (typeof storage === 'string') ? localStorageKeymap(storage) : storage;
+      try {
+        storedKeymap = keymapStorage.load() || {};
+      } catch (e) {
+        warning("The saved keymap could not be loaded: " + e.message);
+        storedKeymap = {};
+      }
+      
+      // Actions defined later are mapped when they are defined
+      for (name in storedKeymap) {
+        if (storedKeymap.hasOwnProperty(name) && actions.hasOwnProperty(name)) {
+          keymap[name] = storedKeymap[name];
+        }
+      }
+      return applyKeymap(keymap);
+    },
+    
+    // Explain how each keydown and keyup is handled, to find out why a key
+    // mapping doesn't work. Each handler the event reaches makes a trace record
+    // with the raw event fields (type, keyCode, which, charCode, key, code,
+    // keyIdentifier, location, the modifiers and repeat), the element of the
+    // handler and the event target, the translated keyspec (index) and its name
+    // (text), whether the user was typing, the pending key sequence, the key
+    // sequence and match found (found), the mappings whose key functions were
+    // called (consulted) and the one that handled the key (handled), as
+    // described by describe(), and whether the default action was prevented
+    // and the event stopped. 'settings' may contain:
+    //   onTrace - function called with each trace record. Logs to the console
+    //             by default.
+    //   panel   - show the trace on the page
+    //   lines   - number of trace lines shown on the page (default 20)
+    // Keyboard.debug(false) stops tracing, and removes the panel.
+    debug: function (enabled, settings) {
+      if (tracing && tracing.panel) {
+        tracing.panel.parentNode.removeChild(tracing.panel);
+      }
+      tracing = null;
+      if (!enabled) {
+        return;
+      }
+      
+      tracing = extend({
+        onTrace: function (record) {
+          if (typeof console !== 'undefined' && console.log) {
+            console.log('Keyboard: ' + traceText(record), record);
+          }
+        },
+        panel: false,
+        lines: 20
+      }, settings || {});
+      if (tracing.panel) {
+        tracing.panel = document.createElement('div');
+        tracing.panel.id = '__keyboarddebug';
+        tracing.panel.className = 'keyboard-debug';
+        lib.setStyle(tracing.panel, {
+          position: 'fixed',
+          bottom: 0,
+          right: 0,
+          width: '40em',
+          padding: '0.5em',
+          background: '#000',
+          color: '#0f0',
+          fontFamily: 'monospace',
+          fontSize: '12px',
+          opacity: 0.8,
+          pointerEvents: 'none',
+          zIndex: 10001
+        });
+        document.body.appendChild(tracing.panel);
+      }
+    },
+    
+    // Define the command 'name', to be used instead of a key function by mapping
+    // a key to the name of the command, e.g. register(KEY.CTRL + KEY.S, 'save'),
+    // or by calling execute(). 'method' is a function or a [context, function]
+    // array. 'settings' may contain:
+    //   when        - a function telling if the command can be used now
+    //   enabled     - false to define the command disabled, see disable()
+    //   description - default description of the keys mapped to the command
+    // Keys mapped to a disabled command, or while 'when' returns false, are not
+    // handled, so the browser default action of the key happens.
+    command: function (name, method, settings) {
+      commands[name] = extend({ name: name, method: method, when: null, enabled: true, description: '' }, settings || {});
+    },
+    
+    // Call the command 'name', e.g. from a menu or a toolbar button, with the
+    // optional 'event'. Returns false if the command is unknown, disabled or
+    // can not be used now.
+    execute: function (name, event) {
+      if (!commands.hasOwnProperty(name)) {
+        error(new KeyboardError("Unknown command " + name + ". Nothing has been executed.", { command: name }));
+        return false;
+      }
+      if (!isAvailable(name, event)) {
+        return false;
+      }
+      invoke(name, event, undefined, event ? null : document);
+      return true;
+    },
+    
+    // Enable the command 'name' again, see disable()
+    enable: function (name) {
+      if (commands.hasOwnProperty(name)) {
+        commands[name].enabled = true;
+      }
+    },
+    
+    // Disable the command 'name', e.g. while a dialog is open
+    disable: function (name) {
+      if (commands.hasOwnProperty(name)) {
+        commands[name].enabled = false;
+      }
+    },
+    
+    // Create a new, independent Keyboard, with handlers, scopes, layouts, broken
+    // keys and settings of its own. 'settings' are as for configure(), and may
+    // also contain an adapter (see setAdapter()) and a layout (see useLayout()).
+    create: function (settings) {
+      var keyboard = createKeyboard(factory);
+      settings = settings || {};
+      if (settings.adapter) {
+        keyboard.setAdapter(settings.adapter);
+      }
+      if (settings.layout) {
+        keyboard.useLayout(settings.layout);
+      }
+      keyboard.configure(settings);
+      return keyboard;
+    },
+    
+    // The key constants
+    KEY: KEY,
+    
+    // The error types, for use with instanceof
+    KeyboardError: KeyboardError,
+    BrokenKeyError: BrokenKeyError,
+    DuplicateBindingError: DuplicateBindingError
   };
   
   // Return the factory object
   return factory;
-}();
+}
+
+var Keyboard = createKeyboard();
+
+// Export Keyboard for CommonJS and AMD module loaders. KEY and Keyboard are
+// also set on the global object (the window in browsers), however keyboard.js
+// is loaded, as keyboard.mjs takes them from there (a bundler or Node loads
+// keyboard.js as a CommonJS module).
+if (typeof module === 'object' && module.exports) {
+  module.exports = Keyboard;
+} else if (typeof define === 'function' && define.amd) {
+  define(function () {
+    return Keyboard;
+  });
+}
+(function (root) {
+  root.KEY = KEY;
+  root.Keyboard = Keyboard;
+}(typeof globalThis !== 'undefined' ? globalThis : typeof window !== 'undefined' ? window : this));
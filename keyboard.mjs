@@ -0,0 +1,18 @@
+/**
+ * Keyboard.js as an ES module
+ *
+ *   import Keyboard, { KEY } from './keyboard.mjs';
+ *
+ * keyboard.js sets KEY and Keyboard on the global object, however it's loaded
+ * (as an ES module by the browser, or as a CommonJS module by a bundler or
+ * Node), see the end of keyboard.js.
+ */
+
+import './keyboard.js';
+
+var root = typeof globalThis !== 'undefined' ? globalThis : window;
+var Keyboard = root.Keyboard;
+var KEY = root.KEY;
+
+export { KEY };
+export default Keyboard;
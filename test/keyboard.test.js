@@ -0,0 +1,923 @@
+// Tests of keyboard.js in a jsdom window, run with: npm test
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert');
+var fs = require('node:fs');
+var path = require('node:path');
+var childProcess = require('node:child_process');
+var JSDOM = require('jsdom').JSDOM;
+
+var source = fs.readFileSync(path.join(__dirname, '..', 'keyboard.js'), 'utf8');
+
+// This function loads keyboard.js into a fresh window. With 'msie' the
+// document pretends to be IE, so the IE workarounds are used.
+function load(msie) {
+  var dom = new JSDOM('<!DOCTYPE html><body><div id="myDiv" tabindex="0"></div></body>', { runScripts: 'outside-only' });
+
+  if (msie) {
+    dom.window.document.documentMode = 8;
+  }
+  dom.window.eval(source);
+  dom.window.Keyboard.configure({ environment: {} });
+  return dom.window;
+}
+
+// This function dispatches a key event with 'keyCode' and the modifiers in
+// 'settings' (ctrlKey, shiftKey, altKey, metaKey) on 'target'
+function fire(target, type, keyCode, settings) {
+  var window = target.ownerDocument.defaultView, event;
+
+  event = new window.KeyboardEvent(type, Object.assign({ bubbles: true, cancelable: true }, settings));
+  Object.defineProperty(event, 'keyCode', { value: keyCode });
+  Object.defineProperty(event, 'which', { value: keyCode });
+  target.dispatchEvent(event);
+  return event;
+}
+
+// This function presses and releases 'keyCode' with the modifiers in 'settings'
+function press(target, keyCode, settings) {
+  fire(target, 'keydown', keyCode, settings);
+  fire(target, 'keyup', keyCode, settings);
+}
+
+describe('registration', function () {
+  it('calls a global key mapping', function () {
+    var window = load(), KEY = window.KEY, calls = 0;
+
+    window.Keyboard.registerGlobal(KEY.F, function () {
+      calls += 1;
+    });
+    press(window.document.body, KEY.F);
+    assert.strictEqual(calls, 1);
+  });
+
+  it('calls an element key mapping for keys in the element only', function () {
+    var window = load(), KEY = window.KEY, div = window.document.getElementById('myDiv'), calls = 0;
+
+    window.Keyboard.register('myDiv', KEY.G, function () {
+      calls += 1;
+    });
+    press(window.document.body, KEY.G);
+    assert.strictEqual(calls, 0);
+    press(div, KEY.G);
+    assert.strictEqual(calls, 1);
+  });
+
+  it('stops calling an unregistered key mapping', function () {
+    var window = load(), KEY = window.KEY, calls = 0;
+
+    window.Keyboard.registerGlobal(KEY.H, function () {
+      calls += 1;
+    });
+    window.Keyboard.unregisterGlobal(KEY.H);
+    press(window.document.body, KEY.H);
+    assert.strictEqual(calls, 0);
+  });
+});
+
+describe('modifier indexing', function () {
+  it('tells key combinations apart by their modifiers', function () {
+    var window = load(), KEY = window.KEY, calls = [];
+
+    window.Keyboard.registerGlobal(KEY.CTRL + KEY.S, function () {
+      calls.push('Ctrl+S');
+    });
+    window.Keyboard.registerGlobal(KEY.CTRL + KEY.SHIFT + KEY.S, function () {
+      calls.push('Ctrl+Shift+S');
+    });
+    window.Keyboard.registerGlobal(KEY.ALT + KEY.S, function () {
+      calls.push('Alt+S');
+    });
+    window.Keyboard.registerGlobal(KEY.META + KEY.S, function () {
+      calls.push('Meta+S');
+    });
+    press(window.document.body, KEY.S, { ctrlKey: true });
+    press(window.document.body, KEY.S, { ctrlKey: true, shiftKey: true });
+    press(window.document.body, KEY.S, { altKey: true });
+    press(window.document.body, KEY.S, { metaKey: true });
+    press(window.document.body, KEY.S);
+    assert.deepStrictEqual(calls, ['Ctrl+S', 'Ctrl+Shift+S', 'Alt+S', 'Meta+S']);
+  });
+
+  it('calls a key with Cmd on keydown, as Macs send no keyup for it', function () {
+    var window = load(), KEY = window.KEY, calls = [];
+
+    window.Keyboard.registerGlobal(KEY.META + KEY.S, function () {
+      calls.push('Cmd+S');
+    });
+    window.Keyboard.registerGlobal(KEY.META + KEY.D, function () {
+      calls.push('Cmd+D');
+    }, { on: 'keyup' });
+    fire(window.document.body, 'keydown', KEY.S, { metaKey: true });
+    fire(window.document.body, 'keydown', KEY.D, { metaKey: true });
+    assert.deepStrictEqual(calls, ['Cmd+S']);
+    fire(window.document.body, 'keyup', KEY.D, { metaKey: true });
+    assert.deepStrictEqual(calls, ['Cmd+S', 'Cmd+D']);
+  });
+
+  it('maps a solitary modifier', function () {
+    var window = load(), KEY = window.KEY, calls = 0;
+
+    window.Keyboard.registerGlobal(KEY.SHIFT, function () {
+      calls += 1;
+    });
+    fire(window.document.body, 'keydown', 16, { shiftKey: true });
+    fire(window.document.body, 'keyup', 16);
+    assert.strictEqual(calls, 1);
+  });
+
+  it('formats and parses key combinations', function () {
+    var window = load(), KEY = window.KEY;
+
+    assert.strictEqual(window.Keyboard.format(KEY.CTRL + KEY.SHIFT + KEY.F), 'Ctrl+Shift+F');
+    assert.strictEqual(window.Keyboard.parse('Ctrl+Shift+F'), KEY.CTRL + KEY.SHIFT + KEY.F);
+  });
+});
+
+describe('umlaut alias', function () {
+  it('maps key code 186 (IE and Safari) to KEY.UMLAUT (59, Gecko)', function () {
+    var window = load(), KEY = window.KEY, calls = 0;
+
+    assert.strictEqual(KEY.UMLAUT, 59);
+    // The umlaut key is unmappable in Mac-Safari3 only
+    window.Keyboard.configure({ environment: { os: 'Win', browser: 'IE', version: 8 } });
+    window.Keyboard.registerGlobal(KEY.UMLAUT, function () {
+      calls += 1;
+    });
+    press(window.document.body, 186);
+    press(window.document.body, 59);
+    assert.strictEqual(calls, 2);
+  });
+});
+
+describe('broken keys', function () {
+  it('refuses a broken key with a BrokenKeyError', function () {
+    var window = load(), KEY = window.KEY, handler = window.Keyboard.handlerFor(window.document), errors = [];
+
+    window.Keyboard.configure({ onError: function (error) {
+      errors.push(error);
+    } });
+    assert.strictEqual(handler.register(KEY.ALT + KEY.F4, function () {}), false);
+    assert.strictEqual(errors.length, 1);
+    assert.ok(errors[0] instanceof window.Keyboard.BrokenKeyError);
+    assert.ok(errors[0] instanceof window.Keyboard.KeyboardError);
+  });
+
+  it('throws a BrokenKeyError in strict mode', function () {
+    var window = load(), KEY = window.KEY;
+
+    window.Keyboard.configure({ strict: true });
+    assert.throws(function () {
+      window.Keyboard.registerGlobal(KEY.ALT + KEY.F4, function () {});
+    }, window.Keyboard.BrokenKeyError);
+  });
+
+  it('maps a broken key with the override option', function () {
+    var window = load(), KEY = window.KEY, calls = 0;
+
+    window.Keyboard.configure({ strict: true, onWarning: function () {} });
+    window.Keyboard.registerGlobal(KEY.ALT + KEY.F4, function () {
+      calls += 1;
+    }, { override: true });
+    press(window.document.body, KEY.F4, { altKey: true });
+    assert.strictEqual(calls, 1);
+  });
+
+  it('only refuses keys in the environments where they are broken', function () {
+    var window = load(), KEY = window.KEY;
+
+    window.Keyboard.configure({ strict: true, environment: { os: 'Mac', browser: 'Safari', version: 3 } });
+    assert.doesNotThrow(function () {
+      window.Keyboard.registerGlobal(KEY.CTRL + KEY.TAB, function () {});
+    });
+    window.Keyboard.configure({ environment: { os: 'Win', browser: 'IE', version: 8 } });
+    assert.throws(function () {
+      window.Keyboard.registerGlobal(KEY.CTRL + KEY.SHIFT + KEY.TAB, function () {});
+    }, window.Keyboard.BrokenKeyError);
+  });
+});
+
+describe('IE accesskey workaround', function () {
+  it('adds an element with the accesskey of an Alt+<letter> mapping', function () {
+    var window = load(true), KEY = window.KEY, div;
+
+    window.Keyboard.register('myDiv', KEY.ALT + KEY.K, function () {});
+    div = window.document.getElementById('__altkeyhandler_' + KEY.K);
+    assert.ok(div);
+    assert.strictEqual(div.accessKey, 'K');
+    window.Keyboard.unregister('myDiv', KEY.ALT + KEY.K);
+    assert.strictEqual(window.document.getElementById('__altkeyhandler_' + KEY.K), null);
+  });
+
+  it('adds no accesskey elements in other browsers', function () {
+    var window = load(), KEY = window.KEY;
+
+    window.Keyboard.register('myDiv', KEY.ALT + KEY.K, function () {});
+    assert.strictEqual(window.document.getElementById('__altkeyhandler_' + KEY.K), null);
+  });
+});
+
+describe('hold and release', function () {
+  it('calls onHold on keydown and onRelease on keyup', function () {
+    var window = load(), KEY = window.KEY, calls = [];
+
+    window.Keyboard.registerGlobal(KEY.SPACE, null, {
+      onHold: function () {
+        calls.push('hold');
+      },
+      onRelease: function () {
+        calls.push('release');
+      }
+    });
+    fire(window.document.body, 'keydown', KEY.SPACE);
+    fire(window.document.body, 'keydown', KEY.SPACE, { repeat: true });
+    fire(window.document.body, 'keyup', KEY.SPACE);
+    assert.deepStrictEqual(calls, ['hold', 'release']);
+  });
+
+  it('calls the key function on keyup of a key with onHold only', function () {
+    var window = load(), KEY = window.KEY, calls = [], event;
+
+    window.Keyboard.registerGlobal(KEY.P, function () {
+      calls.push('key');
+    }, {
+      onHold: function () {
+        calls.push('hold');
+      }
+    });
+    fire(window.document.body, 'keydown', KEY.P);
+    event = fire(window.document.body, 'keyup', KEY.P);
+    assert.deepStrictEqual(calls, ['hold', 'key']);
+    assert.strictEqual(event.defaultPrevented, true);
+  });
+
+  it('refuses onRelease without onHold', function () {
+    var window = load(), KEY = window.KEY;
+
+    window.Keyboard.configure({ strict: true });
+    assert.throws(function () {
+      window.Keyboard.registerGlobal(KEY.P, null, { onRelease: function () {} });
+    }, window.Keyboard.KeyboardError);
+  });
+});
+
+describe('modules', function () {
+  it('loads as a CommonJS and as an ES module without a window', function () {
+    var output = childProcess.execFileSync(process.execPath, ['--input-type=module', '-e',
+      "import Keyboard, { KEY } from './keyboard.mjs';" +
+      "import { createRequire } from 'node:module';" +
+      "console.log(typeof Keyboard.register, KEY.CTRL === Keyboard.KEY.CTRL, createRequire(import.meta.url)('./keyboard.js') === Keyboard);"
+    ], { cwd: path.join(__dirname, '..'), encoding: 'utf8' });
+
+    assert.strictEqual(output.trim(), 'function true true');
+  });
+});
+
+describe('recording', function () {
+  it('records a key with its modifiers', function () {
+    var window = load(), KEY = window.KEY, recorded = null;
+
+    window.Keyboard.record(function (result) {
+      recorded = result;
+    });
+    fire(window.document.body, 'keydown', 17, { ctrlKey: true });
+    fire(window.document.body, 'keydown', KEY.S, { ctrlKey: true });
+    assert.strictEqual(recorded.key, KEY.CTRL + KEY.S);
+    assert.strictEqual(recorded.text, 'Ctrl+S');
+  });
+
+  it('records a chord of modifiers as the modifier released last, which can be mapped', function () {
+    var window = load(), KEY = window.KEY, recorded = null, calls = 0;
+
+    window.Keyboard.record(function (result) {
+      recorded = result;
+    });
+    fire(window.document.body, 'keydown', 17, { ctrlKey: true });
+    fire(window.document.body, 'keydown', 16, { ctrlKey: true, shiftKey: true });
+    fire(window.document.body, 'keyup', 17, { shiftKey: true });
+    assert.strictEqual(recorded, null);
+    fire(window.document.body, 'keyup', 16);
+    assert.strictEqual(recorded.key, KEY.SHIFT);
+
+    window.Keyboard.registerGlobal(recorded.key, function () {
+      calls += 1;
+    });
+    fire(window.document.body, 'keydown', 17, { ctrlKey: true });
+    fire(window.document.body, 'keydown', 16, { ctrlKey: true, shiftKey: true });
+    fire(window.document.body, 'keyup', 17, { shiftKey: true });
+    fire(window.document.body, 'keyup', 16);
+    assert.strictEqual(calls, 1);
+  });
+
+  it('refuses a key of modifiers only', function () {
+    var window = load(), KEY = window.KEY;
+
+    window.Keyboard.configure({ strict: true });
+    assert.throws(function () {
+      window.Keyboard.registerGlobal(KEY.CTRL + KEY.SHIFT, function () {});
+    }, window.Keyboard.KeyboardError);
+    assert.throws(function () {
+      window.Keyboard.registerGlobal(KEY.ALTGR, function () {});
+    }, window.Keyboard.KeyboardError);
+  });
+});
+
+describe('character mappings', function () {
+  it('uses a keystroke for a character mapping or a key mapping, not both', function () {
+    var window = load(), KEY = window.KEY, calls = [];
+
+    window.Keyboard.registerChar('g', function () {
+      calls.push('char');
+    });
+    window.Keyboard.registerGlobal(KEY.G, function () {
+      calls.push('key');
+    });
+    press(window.document.body, KEY.G, { key: 'g' });
+    assert.deepStrictEqual(calls, ['char']);
+
+    // Without KeyboardEvent.key, the character is told by the keypress
+    fire(window.document.body, 'keydown', KEY.G);
+    fire(window.document.body, 'keypress', 103, { charCode: 103 });
+    fire(window.document.body, 'keyup', KEY.G);
+    assert.deepStrictEqual(calls, ['char', 'char']);
+
+    // Keys not producing a mapped character still reach the key mappings
+    window.Keyboard.unregisterChar('g');
+    press(window.document.body, KEY.G, { key: 'g' });
+    assert.deepStrictEqual(calls, ['char', 'char', 'key']);
+  });
+});
+
+describe('simulate', function () {
+  it('simulates a key, and tells if its default action was prevented', function () {
+    var window = load(), KEY = window.KEY, calls = 0;
+
+    window.Keyboard.registerGlobal(KEY.F, function () {
+      calls += 1;
+    });
+    assert.strictEqual(window.Keyboard.simulate(window.document, KEY.F), false);
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(window.Keyboard.simulate(window.document, KEY.J), true);
+    assert.strictEqual(calls, 1);
+  });
+
+  it('simulates keys on an element, by the element or its id', function () {
+    var window = load(), KEY = window.KEY, calls = 0;
+
+    window.Keyboard.register('myDiv', KEY.G, function () {
+      calls += 1;
+    });
+    window.Keyboard.simulate('myDiv', KEY.G);
+    window.Keyboard.simulate(window.document.getElementById('myDiv'), KEY.G);
+    window.Keyboard.simulate(window.document, KEY.G);
+    assert.strictEqual(calls, 2);
+  });
+
+  it('simulates modifiers, by key or by name', function () {
+    var window = load(), KEY = window.KEY, calls = [];
+
+    window.Keyboard.registerGlobal(KEY.CTRL + KEY.SHIFT + KEY.F, function () {
+      calls.push('Ctrl+Shift+F');
+    });
+    window.Keyboard.registerGlobal(KEY.CTRL, function () {
+      calls.push('Ctrl');
+    });
+    window.Keyboard.simulate(window.document, KEY.CTRL + KEY.SHIFT + KEY.F);
+    window.Keyboard.simulate(window.document, 'Ctrl+Shift+F');
+    window.Keyboard.simulate(window.document, KEY.CTRL + KEY.F);
+    window.Keyboard.simulate(window.document, KEY.CTRL);
+    assert.deepStrictEqual(calls, ['Ctrl+Shift+F', 'Ctrl+Shift+F', 'Ctrl']);
+  });
+
+  it('simulates a key sequence', function () {
+    var window = load(), KEY = window.KEY, calls = 0;
+
+    window.Keyboard.registerGlobal([KEY.G, KEY.I], function () {
+      calls += 1;
+    });
+    window.Keyboard.simulate(window.document, [KEY.G, KEY.I]);
+    window.Keyboard.simulate(window.document, 'G I');
+    assert.strictEqual(calls, 2);
+  });
+
+  it('simulates characters, with or without a key of their own', function () {
+    var window = load(), calls = [];
+
+    window.Keyboard.registerChar('?', function () {
+      calls.push('?');
+    });
+    window.Keyboard.registerChar('G', function () {
+      calls.push('G');
+    });
+    window.Keyboard.simulate(window.document, '?');
+    window.Keyboard.simulate(window.document, 'Shift+G');
+    window.Keyboard.simulate(window.document, 'G');
+    assert.deepStrictEqual(calls, ['?', 'G']);
+  });
+
+  it('simulates only the event of the given type', function () {
+    var window = load(), KEY = window.KEY, calls = [];
+
+    window.Keyboard.registerGlobal(KEY.DOWN, function () {
+      calls.push('keydown');
+    }, { on: 'keydown' });
+    window.Keyboard.registerGlobal(KEY.UP, function () {
+      calls.push('keyup');
+    });
+    window.Keyboard.simulate(window.document, KEY.DOWN, { type: 'keydown' });
+    window.Keyboard.simulate(window.document, KEY.UP, { type: 'keydown' });
+    window.Keyboard.simulate(window.document, KEY.DOWN, { type: 'keyup' });
+    window.Keyboard.simulate(window.document, KEY.UP, { type: 'keyup' });
+    assert.deepStrictEqual(calls, ['keydown', 'keyup']);
+  });
+
+  it('simulates auto-repeated keydowns', function () {
+    var window = load(), KEY = window.KEY, calls = [];
+
+    window.Keyboard.registerGlobal(KEY.DOWN, function () {
+      calls.push('down');
+    }, { on: 'keydown', repeat: true });
+    window.Keyboard.registerGlobal(KEY.UP, function () {
+      calls.push('up');
+    }, { on: 'keydown' });
+    window.Keyboard.simulate(window.document, KEY.DOWN, { type: 'keydown', repeat: true });
+    window.Keyboard.simulate(window.document, KEY.UP, { type: 'keydown', repeat: true });
+    assert.deepStrictEqual(calls, ['down']);
+  });
+
+  it('refuses an unknown key', function () {
+    var window = load();
+
+    window.Keyboard.configure({ strict: true });
+    assert.throws(function () {
+      window.Keyboard.simulate(window.document, 'Ctrl+Nothing');
+    }, window.Keyboard.KeyboardError);
+  });
+});
+
+describe('key sequences', function () {
+  it('calls a sequence mapping on its last key only', function () {
+    var window = load(), KEY = window.KEY, calls = [];
+
+    window.Keyboard.registerGlobal([KEY.CTRL + KEY.K, KEY.CTRL + KEY.C], function () {
+      calls.push('Ctrl+K Ctrl+C');
+    });
+    window.Keyboard.registerGlobal(KEY.CTRL + KEY.C, function () {
+      calls.push('Ctrl+C');
+    });
+    window.Keyboard.simulate(window.document, KEY.CTRL + KEY.K);
+    assert.deepStrictEqual(calls, []);
+    window.Keyboard.simulate(window.document, KEY.CTRL + KEY.C);
+    window.Keyboard.simulate(window.document, KEY.CTRL + KEY.C);
+    assert.deepStrictEqual(calls, ['Ctrl+K Ctrl+C', 'Ctrl+C']);
+  });
+
+  it('keeps a pending sequence while a modifier is released', function () {
+    var window = load(), KEY = window.KEY, calls = 0;
+
+    window.Keyboard.registerGlobal([KEY.CTRL + KEY.K, KEY.CTRL + KEY.C], function () {
+      calls += 1;
+    });
+    press(window.document.body, KEY.K, { ctrlKey: true });
+    fire(window.document.body, 'keyup', 17);
+    press(window.document.body, KEY.C, { ctrlKey: true });
+    assert.strictEqual(calls, 1);
+  });
+
+  it('breaks off a sequence on another key', function () {
+    var window = load(), KEY = window.KEY, calls = 0;
+
+    window.Keyboard.registerGlobal([KEY.G, KEY.I], function () {
+      calls += 1;
+    });
+    window.Keyboard.simulate(window.document, 'G X I');
+    assert.strictEqual(calls, 0);
+  });
+
+  it('breaks off a sequence after the sequence timeout', async function () {
+    var window = load(), KEY = window.KEY, calls = 0;
+
+    window.Keyboard.configure({ sequenceTimeout: 10 });
+    window.Keyboard.registerGlobal([KEY.G, KEY.I], function () {
+      calls += 1;
+    });
+    window.Keyboard.simulate(window.document, KEY.G);
+    await new Promise(function (resolve) {
+      window.setTimeout(resolve, 50);
+    });
+    window.Keyboard.simulate(window.document, KEY.I);
+    assert.strictEqual(calls, 0);
+  });
+});
+
+describe('scopes', function () {
+  it('uses the keys of the active scope, and keys mapped with always', function () {
+    var window = load(), KEY = window.KEY, calls = [];
+
+    window.Keyboard.scope('dialog').register(KEY.ESC, function () {
+      calls.push('dialog');
+    });
+    window.Keyboard.registerGlobal(KEY.ESC, function () {
+      calls.push('global');
+    });
+    window.Keyboard.registerGlobal(KEY.F8, function () {
+      calls.push('help');
+    }, { always: true });
+
+    window.Keyboard.simulate(window.document, KEY.ESC);
+    window.Keyboard.pushScope('dialog');
+    assert.strictEqual(window.Keyboard.activeScope(), 'dialog');
+    window.Keyboard.simulate(window.document, KEY.ESC);
+    window.Keyboard.simulate(window.document, KEY.F8);
+    assert.strictEqual(window.Keyboard.popScope(), 'dialog');
+    window.Keyboard.simulate(window.document, KEY.ESC);
+    assert.deepStrictEqual(calls, ['global', 'dialog', 'help', 'global']);
+  });
+
+  it('pops a named scope and the scopes pushed after it', function () {
+    var window = load();
+
+    window.Keyboard.pushScope('editor');
+    window.Keyboard.pushScope('dialog');
+    window.Keyboard.pushScope('menu');
+    assert.strictEqual(window.Keyboard.popScope('dialog'), 'dialog');
+    assert.strictEqual(window.Keyboard.activeScope(), 'editor');
+    assert.strictEqual(window.Keyboard.popScope('nothing'), null);
+  });
+});
+
+describe('editable elements', function () {
+  it('ignores keys typed in form fields and contentEditable regions', function () {
+    var window = load(), KEY = window.KEY, document = window.document, calls = [];
+
+    document.body.insertAdjacentHTML('beforeend', '<input id="field"><div id="editor" contenteditable="true"><p id="paragraph"></p></div>');
+    // jsdom has no contentEditable property
+    Object.defineProperty(document.getElementById('editor'), 'contentEditable', { value: 'true' });
+    window.Keyboard.registerGlobal(KEY.A, function () {
+      calls.push('A');
+    });
+    window.Keyboard.registerGlobal(KEY.ESC, function () {
+      calls.push('Esc');
+    }, { allowInInputs: true });
+    window.Keyboard.simulate('field', KEY.A);
+    window.Keyboard.simulate('paragraph', KEY.A);
+    window.Keyboard.simulate('field', KEY.ESC);
+    window.Keyboard.simulate('paragraph', KEY.ESC);
+    window.Keyboard.simulate(window.document, KEY.A);
+    assert.deepStrictEqual(calls, ['Esc', 'Esc', 'A']);
+  });
+
+  it('uses keys typed in the element of the handler itself', function () {
+    var window = load(), KEY = window.KEY, calls = 0;
+
+    window.document.body.insertAdjacentHTML('beforeend', '<input id="field">');
+    window.Keyboard.register('field', KEY.ENTER, function () {
+      calls += 1;
+    });
+    window.Keyboard.simulate('field', KEY.ENTER);
+    assert.strictEqual(calls, 1);
+  });
+
+  it('asks the ignoreEditable setting what is editable', function () {
+    var window = load(), KEY = window.KEY, calls = 0;
+
+    window.document.body.insertAdjacentHTML('beforeend', '<input id="field">');
+    window.Keyboard.configure({ ignoreEditable: null });
+    window.Keyboard.registerGlobal(KEY.A, function () {
+      calls += 1;
+    });
+    window.Keyboard.simulate('field', KEY.A);
+    assert.strictEqual(calls, 1);
+  });
+});
+
+describe('AltGr', function () {
+  it('tells AltGr from Ctrl+Alt', function () {
+    var window = load(), KEY = window.KEY, calls = [];
+
+    window.Keyboard.registerGlobal(KEY.ALTGR + KEY.E, function () {
+      calls.push('AltGr+E');
+    });
+    window.Keyboard.registerGlobal(KEY.CTRL + KEY.ALT + KEY.E, function () {
+      calls.push('Ctrl+Alt+E');
+    });
+    window.Keyboard.simulate(window.document, KEY.ALTGR + KEY.E);
+    window.Keyboard.simulate(window.document, KEY.CTRL + KEY.ALT + KEY.E);
+    assert.deepStrictEqual(calls, ['AltGr+E', 'Ctrl+Alt+E']);
+  });
+
+  it('also uses a Ctrl+Alt mapping for AltGr with the altGraph option', function () {
+    var window = load(), KEY = window.KEY, calls = 0;
+
+    window.Keyboard.registerGlobal(KEY.CTRL + KEY.ALT + KEY.E, function () {
+      calls += 1;
+    }, { altGraph: true });
+    window.Keyboard.simulate(window.document, KEY.ALTGR + KEY.E);
+    window.Keyboard.simulate(window.document, KEY.CTRL + KEY.ALT + KEY.E);
+    assert.strictEqual(calls, 2);
+  });
+});
+
+describe('priorities and fall-through', function () {
+  it('calls the mapping with the highest priority first', function () {
+    var window = load(), KEY = window.KEY, calls = [];
+
+    window.Keyboard.registerGlobal(KEY.F2, function () {
+      calls.push('low');
+    });
+    window.Keyboard.registerGlobal(KEY.F2, function () {
+      calls.push('high');
+    }, { priority: 1 });
+    window.Keyboard.simulate(window.document, KEY.F2);
+    assert.deepStrictEqual(calls, ['high']);
+  });
+
+  it('falls through to the next mapping when a key function returns false or calls next()', function () {
+    var window = load(), KEY = window.KEY, calls = [];
+
+    window.Keyboard.registerGlobal(KEY.F2, function () {
+      calls.push(0);
+    });
+    window.Keyboard.registerGlobal(KEY.F2, function (event, next) {
+      calls.push(1);
+      next();
+    }, { priority: 1 });
+    window.Keyboard.registerGlobal(KEY.F2, function () {
+      calls.push(2);
+      return false;
+    }, { priority: 2 });
+    window.Keyboard.simulate(window.document, KEY.F2);
+    assert.deepStrictEqual(calls, [2, 1, 0]);
+  });
+
+  it('falls through to the handlers of enclosing elements', function () {
+    var window = load(), KEY = window.KEY, calls = [];
+
+    window.Keyboard.register('myDiv', KEY.F2, function () {
+      calls.push('div');
+      return false;
+    });
+    window.Keyboard.registerGlobal(KEY.F2, function () {
+      calls.push('document');
+    });
+    window.Keyboard.register('myDiv', KEY.F7, function () {
+      calls.push('div');
+    });
+    window.Keyboard.registerGlobal(KEY.F7, function () {
+      calls.push('document');
+    });
+    window.Keyboard.simulate('myDiv', KEY.F2);
+    window.Keyboard.simulate('myDiv', KEY.F7);
+    assert.deepStrictEqual(calls, ['div', 'document', 'div']);
+  });
+
+  it('refuses a second mapping of a key with the same priority', function () {
+    var window = load(), KEY = window.KEY;
+
+    window.Keyboard.configure({ strict: true });
+    window.Keyboard.registerGlobal(KEY.F2, function () {});
+    assert.throws(function () {
+      window.Keyboard.registerGlobal(KEY.F2, function () {});
+    }, window.Keyboard.DuplicateBindingError);
+  });
+});
+
+describe('keydown and auto-repeat', function () {
+  it('calls a keydown mapping on auto-repeat only with the repeat option', function () {
+    var window = load(), KEY = window.KEY, calls = [];
+
+    window.Keyboard.registerGlobal(KEY.DOWN, function () {
+      calls.push('down');
+    }, { on: 'keydown', repeat: true });
+    window.Keyboard.registerGlobal(KEY.UP, function () {
+      calls.push('up');
+    }, { on: 'keydown' });
+    fire(window.document.body, 'keydown', KEY.DOWN);
+    fire(window.document.body, 'keydown', KEY.DOWN, { repeat: true });
+    fire(window.document.body, 'keyup', KEY.DOWN);
+    fire(window.document.body, 'keydown', KEY.UP);
+    fire(window.document.body, 'keydown', KEY.UP, { repeat: true });
+    fire(window.document.body, 'keyup', KEY.UP);
+    assert.deepStrictEqual(calls, ['down', 'down', 'up']);
+  });
+
+  it('refuses an unknown event', function () {
+    var window = load(), KEY = window.KEY;
+
+    window.Keyboard.configure({ strict: true });
+    assert.throws(function () {
+      window.Keyboard.registerGlobal(KEY.DOWN, function () {}, { on: 'keypress' });
+    }, window.Keyboard.KeyboardError);
+  });
+});
+
+describe('match', function () {
+  it('matches the physical key by event.code', function () {
+    var window = load(), KEY = window.KEY, calls = [];
+
+    window.Keyboard.registerGlobal(KEY.Z, function () {
+      calls.push('code');
+    }, { match: 'code' });
+    // Z on a german keyboard is where Y is on a danish one
+    press(window.document.body, KEY.Z, { code: 'KeyY', key: 'z' });
+    press(window.document.body, KEY.Y, { code: 'KeyZ', key: 'y' });
+    assert.deepStrictEqual(calls, ['code']);
+  });
+
+  it('matches what the key says by event.key', function () {
+    var window = load(), KEY = window.KEY, calls = [];
+
+    window.Keyboard.registerGlobal(KEY.Z, function () {
+      calls.push('key');
+    }, { match: 'key' });
+    press(window.document.body, KEY.Y, { code: 'KeyY', key: 'z' });
+    press(window.document.body, KEY.Z, { code: 'KeyZ', key: 'y' });
+    assert.deepStrictEqual(calls, ['key']);
+  });
+
+  it('matches by keyCode without event.code and event.key', function () {
+    var window = load(), KEY = window.KEY, calls = 0;
+
+    window.Keyboard.registerGlobal(KEY.Z, function () {
+      calls += 1;
+    }, { match: 'code' });
+    press(window.document.body, KEY.Z);
+    assert.strictEqual(calls, 1);
+  });
+});
+
+describe('delegate', function () {
+  it('calls the key function in the context of the matching element', function () {
+    var window = load(), KEY = window.KEY, document = window.document, calls = [];
+
+    document.body.insertAdjacentHTML('beforeend', '<ul id="list"><li id="one" class="item" tabindex="0"></li><li id="two" tabindex="0"></li></ul>');
+    window.Keyboard.delegate('list', '.item', KEY.DELETE, function () {
+      calls.push(this.id);
+    });
+    document.getElementById('list').insertAdjacentHTML('beforeend', '<li id="three" class="item" tabindex="0"></li>');
+    window.Keyboard.simulate('one', KEY.DELETE);
+    window.Keyboard.simulate('two', KEY.DELETE);
+    window.Keyboard.simulate('three', KEY.DELETE);
+    window.Keyboard.simulate('list', KEY.DELETE);
+    assert.deepStrictEqual(calls, ['one', 'three']);
+    window.Keyboard.unregister('list', KEY.DELETE);
+    window.Keyboard.simulate('one', KEY.DELETE);
+    assert.deepStrictEqual(calls, ['one', 'three']);
+  });
+});
+
+describe('navigable', function () {
+  it('moves the focus between the items with the arrow keys, Home and End', function () {
+    var window = load(), KEY = window.KEY, document = window.document;
+
+    document.body.insertAdjacentHTML('beforeend', '<ul id="menu"><li id="one">One</li><li id="two">Two</li><li id="three">Three</li></ul>');
+    window.Keyboard.navigable('menu');
+    assert.strictEqual(document.getElementById('one').tabIndex, 0);
+    assert.strictEqual(document.getElementById('two').tabIndex, -1);
+
+    document.getElementById('one').focus();
+    window.Keyboard.simulate(document.activeElement, KEY.DOWN);
+    assert.strictEqual(document.activeElement.id, 'two');
+    assert.strictEqual(document.getElementById('two').tabIndex, 0);
+    assert.strictEqual(document.getElementById('one').tabIndex, -1);
+    window.Keyboard.simulate(document.activeElement, KEY.END);
+    assert.strictEqual(document.activeElement.id, 'three');
+    window.Keyboard.simulate(document.activeElement, KEY.DOWN);
+    assert.strictEqual(document.activeElement.id, 'three');
+    window.Keyboard.simulate(document.activeElement, KEY.HOME);
+    assert.strictEqual(document.activeElement.id, 'one');
+    window.Keyboard.simulate(document.activeElement, KEY.UP);
+    assert.strictEqual(document.activeElement.id, 'one');
+  });
+
+  it('wraps around, and moves to the next item beginning with a letter', function () {
+    var window = load(), KEY = window.KEY, document = window.document;
+
+    document.body.insertAdjacentHTML('beforeend', '<ul id="menu"><li id="one">One</li><li id="two">Two</li><li id="three">Three</li></ul>');
+    window.Keyboard.navigable('menu', { wrap: true });
+    document.getElementById('one').focus();
+    window.Keyboard.simulate(document.activeElement, KEY.UP);
+    assert.strictEqual(document.activeElement.id, 'three');
+    window.Keyboard.simulate(document.activeElement, KEY.T);
+    assert.strictEqual(document.activeElement.id, 'two');
+    window.Keyboard.simulate(document.activeElement, KEY.T);
+    assert.strictEqual(document.activeElement.id, 'three');
+  });
+
+  it('calls onActivate for Enter and Space, in the context of the item', function () {
+    var window = load(), KEY = window.KEY, document = window.document, calls = [];
+
+    document.body.insertAdjacentHTML('beforeend', '<ul id="menu"><li id="one">One</li><li id="two">Two</li></ul>');
+    window.Keyboard.navigable('menu', { onActivate: function () {
+      calls.push(this.id);
+    } });
+    document.getElementById('two').focus();
+    window.Keyboard.simulate(document.activeElement, KEY.ENTER);
+    window.Keyboard.simulate(document.activeElement, KEY.SPACE);
+    assert.deepStrictEqual(calls, ['two', 'two']);
+  });
+});
+
+describe('commands', function () {
+  it('calls the command a key is mapped to, unless it is disabled or can not be used', function () {
+    var window = load(), KEY = window.KEY, calls = 0, dirty = true;
+
+    window.Keyboard.command('save', function () {
+      calls += 1;
+    }, { when: function () {
+      return dirty;
+    } });
+    window.Keyboard.registerGlobal(KEY.CTRL + KEY.S, 'save');
+    assert.strictEqual(window.Keyboard.simulate(window.document, KEY.CTRL + KEY.S), false);
+    assert.strictEqual(calls, 1);
+
+    dirty = false;
+    assert.strictEqual(window.Keyboard.simulate(window.document, KEY.CTRL + KEY.S), true);
+    assert.strictEqual(calls, 1);
+
+    dirty = true;
+    window.Keyboard.disable('save');
+    assert.strictEqual(window.Keyboard.simulate(window.document, KEY.CTRL + KEY.S), true);
+    assert.strictEqual(window.Keyboard.execute('save'), false);
+    window.Keyboard.enable('save');
+    assert.strictEqual(window.Keyboard.execute('save'), true);
+    assert.strictEqual(calls, 2);
+  });
+
+  it('refuses to execute an unknown command', function () {
+    var window = load();
+
+    window.Keyboard.configure({ strict: true });
+    assert.throws(function () {
+      window.Keyboard.execute('nothing');
+    }, window.Keyboard.KeyboardError);
+  });
+});
+
+describe('keymaps', function () {
+  it('maps actions to their default keys, and exports the keymap', function () {
+    var window = load(), KEY = window.KEY, calls = 0;
+
+    assert.strictEqual(window.Keyboard.action('save', 'Ctrl+S', function () {
+      calls += 1;
+    }), true);
+    window.Keyboard.action('print', null, function () {});
+    window.Keyboard.simulate(window.document, KEY.CTRL + KEY.S);
+    assert.strictEqual(calls, 1);
+    assert.deepStrictEqual(JSON.parse(window.Keyboard.exportKeymap()), { save: 'Ctrl+S', print: null });
+  });
+
+  it('remaps, imports and resets keys', function () {
+    var window = load(), KEY = window.KEY, calls = 0;
+
+    window.Keyboard.action('save', 'Ctrl+S', function () {
+      calls += 1;
+    });
+    assert.strictEqual(window.Keyboard.remap('save', 'Ctrl+Shift+S'), true);
+    window.Keyboard.simulate(window.document, KEY.CTRL + KEY.S);
+    window.Keyboard.simulate(window.document, KEY.CTRL + KEY.SHIFT + KEY.S);
+    assert.strictEqual(calls, 1);
+
+    assert.strictEqual(window.Keyboard.importKeymap('{"save":"Alt+S"}'), true);
+    window.Keyboard.simulate(window.document, KEY.ALT + KEY.S);
+    assert.strictEqual(calls, 2);
+
+    assert.strictEqual(window.Keyboard.resetKeymap(), true);
+    assert.deepStrictEqual(JSON.parse(window.Keyboard.exportKeymap()), { save: 'Ctrl+S' });
+  });
+
+  it('maps nothing of a keymap with a key used by two actions', function () {
+    var window = load(), errors = [];
+
+    window.Keyboard.configure({ onError: function (error) {
+      errors.push(error);
+    } });
+    window.Keyboard.action('save', 'Ctrl+S', function () {});
+    window.Keyboard.action('print', 'Ctrl+E', function () {});
+    assert.strictEqual(window.Keyboard.importKeymap({ save: 'Ctrl+J', print: 'Ctrl+J' }), false);
+    assert.ok(errors.length > 0);
+    assert.deepStrictEqual(JSON.parse(window.Keyboard.exportKeymap()), { save: 'Ctrl+S', print: 'Ctrl+E' });
+  });
+
+  it('saves the keys that differ from the defaults, and maps them again', function () {
+    var window = load(), saved = null, storage;
+
+    storage = {
+      load: function () {
+        return saved;
+      },
+      save: function (keymap) {
+        saved = keymap;
+      }
+    };
+    window.Keyboard.action('save', 'Ctrl+S', function () {});
+    window.Keyboard.persistKeymap(storage);
+    window.Keyboard.remap('save', 'Alt+S');
+    assert.strictEqual(JSON.stringify(saved), '{"save":"Alt+S"}');
+
+    window = load();
+    window.Keyboard.persistKeymap(storage);
+    window.Keyboard.action('save', 'Ctrl+S', function () {});
+    assert.deepStrictEqual(JSON.parse(window.Keyboard.exportKeymap()), { save: 'Alt+S' });
+  });
+});